@@ -0,0 +1,203 @@
+// Apify Actor entrypoint: researches the subject from the Actor's input, with
+// stages checkpointed in its key-value store so migrated runs resume, then
+// saves the reports to the key-value store and one record per paragraph to
+// the default dataset. Run locally, the storages live under ./storage
+
+import os from "os";
+import path from "path";
+import fs from "fs-extra";
+import { Actor, log } from "apify";
+import { providers, loadModels } from "./models.js";
+import { REPORT_CONTENT_TYPES } from "./research.js";
+import { UsageError } from "./cli.js";
+import { SECRET_KEYS, credentialsFromEnv } from "./config.js";
+import { ResearchRun, MissingCredentialsError } from "./pipeline.js";
+
+// Stages are saved under RUN-<stage> keys of the Actor's key-value store,
+// which outlives the container when the run migrates to another server
+class KeyValueRunStore {
+  constructor(runId, store) {
+    this.runId = runId;
+    this.store = store;
+  }
+
+  key(stage) {
+    return `RUN-${stage}`;
+  }
+
+  async has(stage) {
+    return this.store.recordExists(this.key(stage));
+  }
+
+  async load(stage) {
+    return this.store.getValue(this.key(stage));
+  }
+
+  async save(stage, data) {
+    await this.store.setValue(this.key(stage), data);
+  }
+}
+
+// API keys from the input's secret fields, or from environment variables
+// like OPENAI_API_KEY
+function configFromInput(input) {
+  const config = credentialsFromEnv(process.env);
+  for (const provider of Object.keys(providers)) {
+    // The input schema only offers the built-in models, so self-hosted ones
+    // have no key field
+    if (provider === "compatible") continue;
+    if (input[`${provider}ApiKey`]) {
+      config[`${provider}_api_key`] = input[`${provider}ApiKey`];
+    }
+  }
+  return config;
+}
+
+// Where each missing config key can be given
+function describeKeys(keys) {
+  return keys
+    .map((key) => {
+      if (key === "apify_api_token") return `the ${SECRET_KEYS[key]} variable`;
+      const provider = key.replace(/_api_key$/, "");
+      return `the ${provider}ApiKey input or ${SECRET_KEYS[key]} variable`;
+    })
+    .join(", ");
+}
+
+function jobFromInput(input) {
+  const answers = input.answers || [];
+  return {
+    subject: input.subject,
+    model: input.model,
+    breadth: input.breadth,
+    depth: input.depth,
+    locale: input.locale,
+    rounds: input.rounds,
+    search: input.search,
+    answers,
+    // Nobody is there to answer the follow-up questions
+    skipFollowups: answers.length === 0,
+  };
+}
+
+// One dataset record per paragraph, with its chapter and cited sources
+function paragraphRecords(report) {
+  const sources = new Map(report.sources.map((source) => [source.id, source]));
+  return report.chapters.flatMap((chapter) =>
+    chapter.paragraphs.map((paragraph, index) => ({
+      chapter: chapter.number,
+      chapterTitle: chapter.title,
+      paragraph: index + 1,
+      text: paragraph.text,
+      sources: paragraph.sources.map((id) => ({
+        id,
+        url: sources.get(id)?.url,
+        title: sources.get(id)?.title,
+      })),
+      ...(paragraph.status && { status: paragraph.status }),
+    }))
+  );
+}
+
+// Save every report file as report.<extension> in the key-value store and
+// return their URLs
+async function saveReports(store, paths) {
+  const slug = path.basename(paths.markdown, ".md");
+  const files = {};
+  for (const [format, file] of Object.entries(paths)) {
+    const key = `report${path.basename(file).slice(slug.length)}`;
+    await store.setValue(key, await fs.readFile(file), {
+      contentType: REPORT_CONTENT_TYPES[format],
+    });
+    files[format] = store.getPublicUrl(key);
+  }
+  return files;
+}
+
+async function main() {
+  const input = (await Actor.getInput()) || {};
+  const config = configFromInput(input);
+  await loadModels(config);
+
+  const store = await Actor.openKeyValueStore();
+  const runId = Actor.getEnv().actorRunId || "local";
+  const outputDir = await fs.mkdtemp(path.join(os.tmpdir(), "reports-"));
+
+  // Aborting the Actor run aborts the Apify runs it started
+  const controller = new AbortController();
+  Actor.on("aborting", () => controller.abort());
+
+  const run = new ResearchRun({
+    config,
+    job: jobFromInput(input),
+    store: new KeyValueRunStore(runId, store),
+    outputDir,
+    signal: controller.signal,
+  });
+  run.on("event", (event) => {
+    switch (event.type) {
+      case "start":
+        if (event.resumed) log.info(`Resuming research on ${event.subject}`);
+        break;
+      case "stage:start":
+        if (event.message) {
+          log.info(event.message);
+          Actor.setStatusMessage(event.message);
+        }
+        break;
+      case "info":
+        log.info(event.message);
+        break;
+      case "warning":
+        log.warning(event.message);
+        break;
+      case "chapter":
+        log.info(`Chapter ${event.number} written: ${event.title}`);
+        break;
+    }
+  });
+
+  let result;
+  try {
+    result = await run.start();
+  } catch (error) {
+    if (controller.signal.aborted) {
+      await Actor.exit({ statusMessage: "Aborted" });
+      return;
+    }
+    throw error;
+  }
+
+  const { status, subject, paths, stats } = result;
+  const cost = `$${(stats.llmCost + stats.apifyCost).toFixed(3)}`;
+  if (!paths) {
+    await Actor.setValue("OUTPUT", { status, subject, stats });
+    await Actor.fail(`The budget ran out before any chapter, ${cost} spent`);
+    return;
+  }
+
+  const files = await saveReports(store, paths);
+  await Actor.pushData(paragraphRecords(await fs.readJSON(paths.json)));
+  await Actor.setValue("OUTPUT", { status, subject, files, stats });
+
+  await Actor.exit({
+    statusMessage:
+      status === "partial"
+        ? `Partial report saved, the budget ran out (${cost} spent)`
+        : `Report saved (${cost} spent)`,
+  });
+}
+
+await Actor.init();
+try {
+  await main();
+} catch (error) {
+  if (error instanceof UsageError) {
+    await Actor.fail(`Invalid input: ${error.message}`);
+  } else if (error instanceof MissingCredentialsError) {
+    await Actor.fail(`Missing API keys: ${describeKeys(error.missing)}`);
+  } else {
+    log.exception(error, "Research failed");
+    await Actor.fail(`Research failed: ${error.message}`);
+  }
+}
@@ -0,0 +1,152 @@
+// Source metadata from crawl results, and bibliography exports in CSL-JSON,
+// BibTeX and RIS
+
+// "2024-03-05T10:00:00Z" or "March 5, 2024" to "2024-03-05"
+function toIsoDate(value) {
+  if (!value) return null;
+  const time = Date.parse(value);
+  return isNaN(time) ? null : new Date(time).toISOString().slice(0, 10);
+}
+
+function openGraphValue(metadata, property) {
+  const openGraph = metadata?.openGraph;
+  if (!Array.isArray(openGraph)) return null;
+  return openGraph.find((entry) => entry.property === property)?.content;
+}
+
+// First value of a key in the page's JSON-LD, names for people and publishers
+function jsonLdValues(metadata, key) {
+  const nodes = [metadata?.jsonLd]
+    .flat(2)
+    .flatMap((node) => (node?.["@graph"] ? node["@graph"] : [node]))
+    .filter(Boolean);
+  const value = nodes.find((node) => node[key])?.[key];
+  return [value]
+    .flat()
+    .map((v) => (typeof v === "object" ? v?.name : v))
+    .filter((v) => typeof v === "string" && v.trim());
+}
+
+// What the crawler and search results tell us about a cited source
+export function sourceMetadata({ id, url, reference, content, searchResult }) {
+  const metadata = content?.metadata || {};
+  const authors = metadata.author
+    ? [metadata.author]
+    : jsonLdValues(metadata, "author");
+
+  let hostname = null;
+  try {
+    hostname = new URL(url).hostname.replace(/^www\./, "");
+  } catch {}
+
+  const localPath = reference?.path || null;
+
+  return {
+    id,
+    citationKey: `ref${id}`,
+    url,
+    path: localPath,
+    title: (reference?.title || metadata.title || url)
+      .replace(/\s+/g, " ")
+      .trim(),
+    authors: authors.map((author) => author.trim()),
+    publishedDate: toIsoDate(
+      openGraphValue(metadata, "article:published_time") ||
+        jsonLdValues(metadata, "datePublished")[0] ||
+        searchResult?.date
+    ),
+    siteName:
+      openGraphValue(metadata, "og:site_name") ||
+      jsonLdValues(metadata, "publisher")[0] ||
+      hostname ||
+      null,
+    accessedDate:
+      toIsoDate(content?.crawl?.loadedTime) ||
+      new Date().toISOString().slice(0, 10),
+    round: reference?.round ?? null,
+    // Near-duplicate copies of the same content
+    alternates: (reference?.alternates || []).map((a) => a.url),
+  };
+}
+
+function dateParts(date) {
+  return { "date-parts": [date.split("-").map(Number)] };
+}
+
+export function toCslJson(sources) {
+  return sources.map((source) => ({
+    id: source.citationKey,
+    type: source.path ? "document" : "webpage",
+    title: source.title,
+    URL: source.url,
+    ...(source.authors.length > 0 && {
+      author: source.authors.map((literal) => ({ literal })),
+    }),
+    ...(source.publishedDate && { issued: dateParts(source.publishedDate) }),
+    accessed: dateParts(source.accessedDate),
+    ...(source.siteName && { "container-title": source.siteName }),
+  }));
+}
+
+function escapeBibtex(text) {
+  return text.replace(/[\\{}]/g, "").replace(/([&%$#_])/g, "\\$1");
+}
+
+// biblatex @online entries, @misc for local files
+export function toBibtex(sources) {
+  return sources
+    .map((source) => {
+      const fields = [
+        ["title", `{${escapeBibtex(source.title)}}`],
+        source.authors.length > 0 && [
+          "author",
+          source.authors
+            .map((author) => `{${escapeBibtex(author)}}`)
+            .join(" and "),
+        ],
+        source.siteName && ["organization", escapeBibtex(source.siteName)],
+        source.publishedDate && ["date", source.publishedDate],
+        ...(source.path
+          ? [["howpublished", escapeBibtex(source.path)]]
+          : [
+              ["url", source.url],
+              ["urldate", source.accessedDate],
+            ]),
+      ].filter(Boolean);
+
+      return `@${source.path ? "misc" : "online"}{${
+        source.citationKey
+      },\n${fields
+        .map(([name, value]) => `  ${name} = {${value}}`)
+        .join(",\n")}\n}`;
+    })
+    .join("\n\n");
+}
+
+export function toRis(sources) {
+  return sources
+    .map((source) =>
+      [
+        ["TY", source.path ? "GEN" : "ELEC"],
+        ["ID", source.citationKey],
+        ["TI", source.title],
+        ...source.authors.map((author) => ["AU", author]),
+        source.siteName && ["T2", source.siteName],
+        source.publishedDate && ["PY", source.publishedDate.slice(0, 4)],
+        source.publishedDate && ["DA", source.publishedDate.replace(/-/g, "/")],
+        ...(source.path
+          ? [["M1", source.path]]
+          : [
+              ["UR", source.url],
+              ...source.alternates.map((url) => ["UR", url]),
+              ["Y2", source.accessedDate.replace(/-/g, "/")],
+            ]),
+        ["ER", ""],
+      ]
+        .filter(Boolean)
+        // One line per tag
+        .map(([tag, value]) => `${tag}  - ${value.replace(/\s+/g, " ")}`)
+        .join("\n")
+    )
+    .join("\n\n");
+}
@@ -0,0 +1,78 @@
+// Spending limits with pre-flight cost estimates
+
+// Rough Apify costs in dollars per result, used only for estimates
+export const APIFY_ESTIMATES = {
+  "apify/google-search-scraper": 0.0035,
+  "apify/website-content-crawler": 0.004,
+};
+
+export class BudgetExceededError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "BudgetExceededError";
+  }
+}
+
+export class Budget {
+  constructor(stats, limits = {}, onWarning = () => {}) {
+    this.stats = stats;
+    this.maxCostUsd = limits.maxCostUsd || null;
+    this.maxTokens = limits.maxTokens || null;
+    // Soft limit: past it no new search round starts, the run goes on
+    this.roundsCostUsd = limits.roundsCostUsd || null;
+    this.policy = limits.policy || "stop";
+    this.onWarning = onWarning;
+  }
+
+  spentUsd() {
+    return this.stats.llmCost + this.stats.apifyCost;
+  }
+
+  spentTokens() {
+    return this.stats.inputTokens + this.stats.outputTokens;
+  }
+
+  // Whether another search round may start
+  allowsRound() {
+    return !this.roundsCostUsd || this.spentUsd() < this.roundsCostUsd;
+  }
+
+  // Estimate an LLM call from its prompt and expected output length
+  estimateLLM(modelPricing, inputTokens, outputTokens) {
+    return {
+      tokens: inputTokens + outputTokens,
+      cost:
+        (inputTokens / 1_000_000) * modelPricing.input +
+        (outputTokens / 1_000_000) * modelPricing.output,
+    };
+  }
+
+  estimateApify(actorId, results) {
+    return { tokens: 0, cost: (APIFY_ESTIMATES[actorId] || 0) * results };
+  }
+
+  // Stop (or warn) when the next step would go over a limit
+  check(step, estimate) {
+    const problems = [];
+    const cost = this.spentUsd() + estimate.cost;
+    if (this.maxCostUsd && cost > this.maxCostUsd) {
+      problems.push(
+        `cost would reach ~$${cost.toFixed(3)} of $${this.maxCostUsd}`
+      );
+    }
+    const tokens = this.spentTokens() + estimate.tokens;
+    if (this.maxTokens && tokens > this.maxTokens) {
+      problems.push(
+        `tokens would reach ~${tokens.toLocaleString()} of ${this.maxTokens.toLocaleString()}`
+      );
+    }
+    if (problems.length === 0) return;
+
+    const message = `Budget limit: ${step} ${problems.join(" and ")}`;
+    if (this.policy === "warn") {
+      this.onWarning(message);
+      return;
+    }
+    throw new BudgetExceededError(message);
+  }
+}
@@ -0,0 +1,387 @@
+// Crawled pages cached under cache/, with an index of fetch dates and sizes,
+// and opt-in LLM responses under cache/llm/
+
+import fs from "fs-extra";
+import path from "path";
+import { createHash, randomUUID } from "crypto";
+import { setTimeout as sleep } from "timers/promises";
+
+// Query parameters that only track the visitor, never change the page
+const TRACKING_PARAMS = [
+  /^utm_/,
+  /^(fbclid|gclid|dclid|msclkid|yclid|igshid|twclid)$/,
+  /^(mc_cid|mc_eid|_hsenc|_hsmi|mkt_tok|ref_src|oly_anon_id|oly_enc_id)$/,
+];
+
+const DURATION_UNITS = {
+  m: 60_000,
+  h: 3_600_000,
+  d: 86_400_000,
+  w: 604_800_000,
+};
+
+// Same page, same key: lowercase scheme and host, no fragment, no tracking
+// parameters, sorted query. Paths keep their case.
+export function canonicalizeUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url.trim());
+  } catch {
+    return url.trim();
+  }
+
+  parsed.hash = "";
+  const params = [...parsed.searchParams.entries()]
+    .filter(([name]) => !TRACKING_PARAMS.some((re) => re.test(name)))
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  parsed.search = new URLSearchParams(params).toString();
+
+  return parsed.toString();
+}
+
+// "30d", "12h", "90m", "2w" or "forever" to milliseconds (null is forever)
+export function parseDuration(value) {
+  if (value === "forever" || value === null) return null;
+
+  const match = /^(\d+(?:\.\d+)?)([mhdw])$/.exec(String(value).trim());
+  if (!match) {
+    throw new Error(
+      `Invalid cache TTL: ${value} (use e.g. 90m, 12h, 30d, 2w or forever)`
+    );
+  }
+  return parseFloat(match[1]) * DURATION_UNITS[match[2]];
+}
+
+// Locks older than this were left by a crashed process
+const STALE_LOCK_MS = 30_000;
+
+// Run fn while holding a lock file, so processes sharing the cache update its
+// index one at a time
+async function withLock(lockPath, fn) {
+  for (;;) {
+    try {
+      await fs.writeFile(lockPath, String(process.pid), { flag: "wx" });
+      break;
+    } catch (error) {
+      if (error.code !== "EEXIST") throw error;
+      const stat = await fs.stat(lockPath).catch(() => null);
+      if (stat && Date.now() - stat.mtimeMs > STALE_LOCK_MS) {
+        await fs.remove(lockPath);
+      } else {
+        await sleep(50);
+      }
+    }
+  }
+  try {
+    return await fn();
+  } finally {
+    await fs.remove(lockPath);
+  }
+}
+
+function guessContentType(url, item) {
+  if (item?.metadata?.contentType) {
+    return item.metadata.contentType.split(";")[0].trim();
+  }
+  return /\.pdf$/i.test(new URL(url).pathname)
+    ? "application/pdf"
+    : "text/html";
+}
+
+export class UrlCache {
+  // options: { ttl, domains: { domain: ttl }, contentTypes: { type: ttl } }
+  constructor(options = {}, dir = "cache") {
+    this.dir = dir;
+    this.indexPath = path.join(dir, "index.json");
+    this.ttl = parseDuration(options.ttl ?? "30d");
+    this.domainTtls = Object.entries(options.domains || {}).map(
+      ([domain, ttl]) => [domain.toLowerCase(), parseDuration(ttl)]
+    );
+    this.contentTypeTtls = Object.entries(options.contentTypes || {}).map(
+      ([type, ttl]) => [type.toLowerCase(), parseDuration(ttl)]
+    );
+    this.index = null;
+    // Entries set since the last save, by key
+    this.pending = new Map();
+  }
+
+  async readIndex() {
+    return (await fs.pathExists(this.indexPath))
+      ? fs.readJSON(this.indexPath)
+      : { entries: {} };
+  }
+
+  async load() {
+    if (!this.index) {
+      this.index = await this.readIndex();
+    }
+    return this.index;
+  }
+
+  // Merge the pending entries into the index on disk, which other runs may
+  // have changed since it was loaded, then let update change the entries.
+  // The index is written to a temp file first so a crash never leaves a
+  // partial one
+  async save(update = () => {}) {
+    await fs.ensureDir(this.dir);
+    return withLock(`${this.indexPath}.lock`, async () => {
+      const index = await this.readIndex();
+      for (const [key, entry] of this.pending) {
+        index.entries[key] = entry;
+      }
+      this.pending.clear();
+      const result = await update(index.entries);
+
+      const temp = `${this.indexPath}.${randomUUID()}.tmp`;
+      await fs.writeJSON(temp, index, { spaces: 2 });
+      await fs.move(temp, this.indexPath, { overwrite: true });
+      this.index = index;
+      return result;
+    });
+  }
+
+  key(url) {
+    return createHash("md5").update(canonicalizeUrl(url)).digest("hex");
+  }
+
+  // The most specific domain rule wins, then the content type, then the default
+  ttlFor(entry) {
+    const domain = this.domainTtls
+      .filter(([d]) => entry.domain === d || entry.domain.endsWith(`.${d}`))
+      .sort(([a], [b]) => b.length - a.length)[0];
+    if (domain) return domain[1];
+
+    const contentType = this.contentTypeTtls.find(
+      ([type]) => type === entry.contentType
+    );
+    if (contentType) return contentType[1];
+
+    return this.ttl;
+  }
+
+  isExpired(entry, now = Date.now()) {
+    const ttl = this.ttlFor(entry);
+    return ttl !== null && now - Date.parse(entry.fetchedAt) > ttl;
+  }
+
+  // The cached page for a URL, unless it's missing or expired
+  async get(url) {
+    const { entries } = await this.load();
+    const entry = entries[this.key(url)];
+    if (!entry || this.isExpired(entry)) return null;
+
+    const file = path.join(this.dir, entry.file);
+    if (!(await fs.pathExists(file))) return null;
+    return fs.readJSON(file);
+  }
+
+  // Cache a page; its index entry is written by the next save()
+  async set(url, item) {
+    const { entries } = await this.load();
+    const key = this.key(url);
+    const file = `url_${key}.json`;
+    const data = JSON.stringify(item);
+
+    await fs.ensureDir(this.dir);
+    await fs.writeFile(path.join(this.dir, file), data);
+    entries[key] = {
+      url: canonicalizeUrl(url),
+      file,
+      domain: new URL(url).hostname.toLowerCase(),
+      contentType: guessContentType(url, item),
+      fetchedAt: new Date().toISOString(),
+      size: Buffer.byteLength(data),
+    };
+    this.pending.set(key, entries[key]);
+  }
+
+  // Index entries, oldest first, with their expiry
+  async list() {
+    const { entries } = await this.load();
+    const now = Date.now();
+    return Object.values(entries)
+      .map((entry) => {
+        const ttl = this.ttlFor(entry);
+        return {
+          ...entry,
+          expiresAt:
+            ttl === null
+              ? null
+              : new Date(Date.parse(entry.fetchedAt) + ttl).toISOString(),
+          expired: this.isExpired(entry, now),
+        };
+      })
+      .sort((a, b) => a.fetchedAt.localeCompare(b.fetchedAt));
+  }
+
+  async stats() {
+    const entries = await this.list();
+    const domains = new Map();
+    for (const entry of entries) {
+      domains.set(entry.domain, (domains.get(entry.domain) || 0) + 1);
+    }
+
+    return {
+      entries: entries.length,
+      expired: entries.filter((e) => e.expired).length,
+      size: entries.reduce((sum, e) => sum + e.size, 0),
+      oldest: entries[0]?.fetchedAt || null,
+      newest: entries[entries.length - 1]?.fetchedAt || null,
+      domains: [...domains.entries()].sort((a, b) => b[1] - a[1]),
+    };
+  }
+
+  // Page files not in the index, e.g. from before the index existed
+  async orphans() {
+    if (!(await fs.pathExists(this.dir))) return [];
+    const { entries } = await this.load();
+    const indexed = new Set(Object.values(entries).map((e) => e.file));
+    return (await fs.readdir(this.dir)).filter(
+      (file) => /^url_\w+\.json$/.test(file) && !indexed.has(file)
+    );
+  }
+
+  // Remove expired entries and unindexed pages
+  async prune() {
+    return this.save(async (entries) => {
+      this.index = { entries };
+      const orphans = await this.orphans();
+      let removed = 0;
+
+      for (const [key, entry] of Object.entries(entries)) {
+        if (this.isExpired(entry)) {
+          await fs.remove(path.join(this.dir, entry.file));
+          delete entries[key];
+          removed++;
+        }
+      }
+      for (const file of orphans) {
+        await fs.remove(path.join(this.dir, file));
+      }
+      return { removed, orphans: orphans.length };
+    });
+  }
+
+  // Remove every cached page
+  async purge() {
+    return this.save(async (entries) => {
+      this.index = { entries };
+      const orphans = await this.orphans();
+      const removed = Object.keys(entries).length;
+
+      for (const [key, entry] of Object.entries(entries)) {
+        await fs.remove(path.join(this.dir, entry.file));
+        delete entries[key];
+      }
+      for (const file of orphans) {
+        await fs.remove(path.join(this.dir, file));
+      }
+      return { removed, orphans: orphans.length };
+    });
+  }
+}
+
+// Structured LLM responses keyed on model, schema name and prompt hash
+export class LlmCache {
+  constructor(dir = path.join("cache", "llm")) {
+    this.dir = dir;
+  }
+
+  key(model, schemaName, prompt) {
+    const promptHash = createHash("sha256").update(prompt).digest("hex");
+    return createHash("sha256")
+      .update(JSON.stringify([model, schemaName, promptHash]))
+      .digest("hex");
+  }
+
+  path(model, schemaName, prompt) {
+    return path.join(this.dir, `${this.key(model, schemaName, prompt)}.json`);
+  }
+
+  // The cached { object, usage } of a response, if any
+  async get(model, schemaName, prompt) {
+    const file = this.path(model, schemaName, prompt);
+    if (!(await fs.pathExists(file))) return null;
+    return fs.readJSON(file);
+  }
+
+  async set(model, schemaName, prompt, { object, usage }) {
+    await fs.ensureDir(this.dir);
+    await fs.writeJSON(this.path(model, schemaName, prompt), {
+      model,
+      schemaName,
+      createdAt: new Date().toISOString(),
+      object,
+      usage,
+    });
+  }
+
+  async files() {
+    if (!(await fs.pathExists(this.dir))) return [];
+    return (await fs.readdir(this.dir)).filter((file) =>
+      file.endsWith(".json")
+    );
+  }
+
+  async stats() {
+    const files = await this.files();
+    let size = 0;
+    for (const file of files) {
+      size += (await fs.stat(path.join(this.dir, file))).size;
+    }
+    return { entries: files.length, size };
+  }
+
+  // Remove every cached response
+  async purge() {
+    const files = await this.files();
+    await fs.remove(this.dir);
+    return { removed: files.length };
+  }
+}
+
+export function formatSize(bytes) {
+  const units = ["B", "KB", "MB", "GB"];
+  let size = bytes;
+  let unit = 0;
+  while (size >= 1024 && unit < units.length - 1) {
+    size /= 1024;
+    unit++;
+  }
+  return `${unit === 0 ? size : size.toFixed(1)} ${units[unit]}`;
+}
+
+// One line per entry, for the cache list command
+export function formatCacheEntries(entries) {
+  return entries
+    .map(
+      (e) =>
+        `${e.fetchedAt.slice(0, 16).replace("T", " ")}  ${formatSize(
+          e.size
+        ).padStart(9)}  ${
+          e.expired
+            ? "expired   "
+            : e.expiresAt
+            ? `to ${e.expiresAt.slice(0, 10)}`
+            : "forever   "
+        }  ${e.url}`
+    )
+    .join("\n");
+}
+
+export function formatCacheStats(stats, llmStats) {
+  return [
+    `Entries: ${stats.entries} (${stats.expired} expired)`,
+    `Size: ${formatSize(stats.size)}`,
+    stats.oldest && `Fetched: ${stats.oldest} to ${stats.newest}`,
+    stats.domains.length > 0 &&
+      `Top domains: ${stats.domains
+        .slice(0, 10)
+        .map(([domain, count]) => `${domain} (${count})`)
+        .join(", ")}`,
+    llmStats.entries > 0 &&
+      `LLM responses: ${llmStats.entries} (${formatSize(llmStats.size)})`,
+  ]
+    .filter(Boolean)
+    .join("\n");
+}
@@ -0,0 +1,60 @@
+import fs from "fs-extra";
+import path from "path";
+import { randomBytes } from "crypto";
+
+// Persists each pipeline stage of a run under runs/<runId>/
+export class RunStore {
+  constructor(runId, baseDir = "runs") {
+    this.runId = runId;
+    this.dir = path.join(baseDir, runId);
+  }
+
+  // Start a new run and record its job
+  static async create(job, baseDir = "runs") {
+    const timestamp = new Date()
+      .toISOString()
+      .replace(/[-:]/g, "")
+      .replace("T", "-")
+      .slice(0, 15);
+    const runId = `${timestamp}-${randomBytes(2).toString("hex")}`;
+
+    const store = new RunStore(runId, baseDir);
+    await fs.ensureDir(store.dir);
+    await store.save("job", job);
+    return store;
+  }
+
+  // Open an existing run, returning the store and its job
+  static async open(runId, baseDir = "runs") {
+    if (!/^[\w-]+$/.test(runId)) {
+      throw new Error(`Invalid run id: ${runId}`);
+    }
+
+    const store = new RunStore(runId, baseDir);
+    if (!(await store.has("job"))) {
+      throw new Error(`No run found with id ${runId} in ${baseDir}/`);
+    }
+    return { store, job: await store.load("job") };
+  }
+
+  stagePath(stage) {
+    return path.join(this.dir, `${stage}.json`);
+  }
+
+  async has(stage) {
+    return fs.pathExists(this.stagePath(stage));
+  }
+
+  async load(stage) {
+    return fs.readJSON(this.stagePath(stage));
+  }
+
+  // Write to a temp file first so a crash never leaves a partial checkpoint;
+  // temp names are unique as chapters can be saved concurrently
+  async save(stage, data) {
+    const target = this.stagePath(stage);
+    const temp = `${target}.${randomBytes(4).toString("hex")}.tmp`;
+    await fs.writeJSON(temp, data, { spaces: 2 });
+    await fs.move(temp, target, { overwrite: true });
+  }
+}
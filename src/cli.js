@@ -0,0 +1,622 @@
+import { parseArgs } from "util";
+import fs from "fs-extra";
+import models, { STAGES } from "./models.js";
+import { searchProviders } from "./search.js";
+import { isUrl, readSourceList } from "./sources.js";
+import { QUALITY_DEFAULTS } from "./quality.js";
+import { RETRY_DEFAULTS } from "./retry.js";
+
+// Process exit codes used by the CLI
+export const EXIT_CODES = {
+  success: 0,
+  failure: 1,
+  usage: 2,
+  missingCredentials: 3,
+  budgetExceeded: 4,
+  interrupted: 130,
+};
+
+export class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "UsageError";
+    this.exitCode = EXIT_CODES.usage;
+  }
+}
+
+export const COMMANDS = ["models", "cache", "serve", "config"];
+
+export const CACHE_ACTIONS = ["list", "stats", "prune", "purge"];
+
+export const CONFIG_ACTIONS = ["list", "set", "delete", "encrypt", "decrypt"];
+
+export const USAGE = `Usage: npm start -- [command] [options]
+
+Without options, the tool runs interactively. Passing --headless, --job or
+--subject runs it without any prompts. Every stage is saved under
+runs/<runId>/, so a failed or interrupted run can be resumed.
+
+Commands:
+  models                List the available models, including models.json ones
+  cache <action>        Manage cached pages: list, stats (default), prune
+                        expired entries or purge everything
+  serve                 Run an HTTP API that queues research jobs, see
+                        --host, --port, --max-jobs and --max-queued
+  config <action>       Manage API keys: list (default) shows them masked,
+                        set <key> and delete <key> replace or remove one,
+                        encrypt and decrypt lock or unlock them with a
+                        passphrase
+
+Options:
+  --job <file>          JSON job file with any of the options below
+  --subject <text>      Research subject
+  --model <id>          Model id (defaults to the last selected model)
+  --stage-model <stage=id>
+                        Model for one stage, instead of --model (repeatable);
+                        stages: ${STAGES.join(", ")}
+  --fallback-model <id> Model to use when a stage's model keeps failing
+  --breadth <1-20>      Number of search queries
+  --depth <1-100>       Number of results per query
+  --locale <xx-XX>      Research locale
+  --rounds <1-5>        Number of search rounds that fill knowledge gaps
+  --concurrency <1-10>  Chapters generated at the same time (default 1); each
+                        chapter sees summaries of the ones before it
+  --budget <usd>        Soft limit for --rounds: no new search round starts
+                        past this total cost, but the report is still
+                        written in full; see --max-cost for a hard limit
+  --overflow <mode>     Sources that don't fit the context window: condense
+                        (default) or truncate
+  --retrieval <mode>    Passages sent with each chapter: bm25 ranks them by
+                        relevance (default), off sends whole sources
+  --verify <mode>       Check each paragraph against the sources it cites:
+                        off (default), flag, drop or rewrite unsupported and
+                        contradicted paragraphs
+  --search <provider>   Search provider: google (default), apify, searxng, urls
+                        or fake; its settings come from the "search" object
+                        of the config file or the job file
+  --partial-results     Use what a failed or timed out Apify run saved instead
+                        of retrying it
+  --llm-cache           Reuse LLM responses to identical prompts from earlier
+                        runs, stored under cache/llm/
+  --source <path|url>   Local file, folder or URL to research besides the search
+                        results (repeatable); files can be PDF, Markdown,
+                        text or HTML
+  --source-list <file>  File with one source path or URL per line
+  --allow-domain <domain>
+                        Only use search results from this domain and its
+                        subdomains (repeatable)
+  --deny-domain <domain>
+                        Never use search results from this domain (repeatable)
+  --min-length <chars>  Exclude sources with less text (default 500)
+  --min-score <0-1>     Exclude sources scoring lower on domain reputation,
+                        length and boilerplate (default 0.5)
+  --answer <text>       Answer to a follow-up question, in order (repeatable)
+  --skip-followups      Don't generate follow-up questions
+  --max-cost <usd>      Hard limit: stop before any step would push the total
+                        cost past this, writing a partial report
+  --max-tokens <n>      Stop before a step would push total LLM tokens past this
+  --on-budget <policy>  At a limit: stop (default) or warn and continue
+  --resume <runId>      Continue an interrupted run from its last stage; the
+                        limits above may be changed when resuming
+  --headless            Never prompt, fail instead
+  --host <address>      Address the serve command listens on (default
+                        127.0.0.1)
+  --port <port>         Port the serve command listens on (default 3000)
+  --max-jobs <n>        Jobs the serve command researches at once (default 2)
+  --max-queued <n>      Jobs waiting for a free slot before new ones are
+                        refused (default 20)
+  -h, --help            Show this help`;
+
+// Shared validators, in the shape expected by @inquirer/prompts
+export const validators = {
+  subject: (value) => {
+    if (!value.trim()) {
+      return "Research subject is required to continue.";
+    }
+    return true;
+  },
+  breadth: (value) => {
+    const num = parseInt(value);
+    if (isNaN(num) || num < 1 || num > 20) {
+      return "Please enter a number between 1 and 20";
+    }
+    return true;
+  },
+  depth: (value) => {
+    const num = parseInt(value);
+    if (isNaN(num) || num < 1 || num > 100) {
+      return "Please enter a number between 1 and 100";
+    }
+    return true;
+  },
+  locale: (value) => {
+    if (!/^[a-z]{2}-[A-Z]{2}$/.test(value)) {
+      return "Please enter a valid locale (e.g. en-US)";
+    }
+    return true;
+  },
+  rounds: (value) => {
+    const num = parseInt(value);
+    if (isNaN(num) || num < 1 || num > 5) {
+      return "Please enter a number between 1 and 5";
+    }
+    return true;
+  },
+  concurrency: (value) => {
+    const num = parseInt(value);
+    if (isNaN(num) || num < 1 || num > 10) {
+      return "Please enter a number between 1 and 10";
+    }
+    return true;
+  },
+  budget: (value) => {
+    if (value.trim() && !(parseFloat(value) > 0)) {
+      return "Please enter a positive amount, or leave empty for no limit";
+    }
+    return true;
+  },
+  maxTokens: (value) => {
+    if (value.trim() && !(parseInt(value) > 0)) {
+      return "Please enter a positive number, or leave empty for no limit";
+    }
+    return true;
+  },
+};
+
+export function parseCliArgs(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        job: { type: "string" },
+        subject: { type: "string" },
+        model: { type: "string" },
+        "stage-model": { type: "string", multiple: true },
+        "fallback-model": { type: "string" },
+        breadth: { type: "string" },
+        depth: { type: "string" },
+        locale: { type: "string" },
+        rounds: { type: "string" },
+        concurrency: { type: "string" },
+        budget: { type: "string" },
+        overflow: { type: "string" },
+        retrieval: { type: "string" },
+        verify: { type: "string" },
+        search: { type: "string" },
+        source: { type: "string", multiple: true },
+        "source-list": { type: "string" },
+        "allow-domain": { type: "string", multiple: true },
+        "deny-domain": { type: "string", multiple: true },
+        "min-length": { type: "string" },
+        "min-score": { type: "string" },
+        answer: { type: "string", multiple: true },
+        "skip-followups": { type: "boolean" },
+        "llm-cache": { type: "boolean" },
+        "partial-results": { type: "boolean" },
+        headless: { type: "boolean" },
+        "max-cost": { type: "string" },
+        "max-tokens": { type: "string" },
+        "on-budget": { type: "string" },
+        resume: { type: "string" },
+        host: { type: "string" },
+        port: { type: "string" },
+        "max-jobs": { type: "string" },
+        "max-queued": { type: "string" },
+        help: { type: "boolean", short: "h" },
+      },
+    });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  const { values, positionals } = parsed;
+  const [command, ...rest] = positionals;
+  const cacheAction = command === "cache" ? rest.shift() || "stats" : undefined;
+  const configAction =
+    command === "config" ? rest.shift() || "list" : undefined;
+  const configKey = ["set", "delete"].includes(configAction)
+    ? rest.shift()
+    : undefined;
+  if (rest.length > 0 || (command && !COMMANDS.includes(command))) {
+    throw new UsageError(`Unknown command: ${positionals.join(" ")}`);
+  }
+  if (cacheAction && !CACHE_ACTIONS.includes(cacheAction)) {
+    throw new UsageError(`Unknown cache action: ${cacheAction}`);
+  }
+  if (configAction && !CONFIG_ACTIONS.includes(configAction)) {
+    throw new UsageError(`Unknown config action: ${configAction}`);
+  }
+  if (["set", "delete"].includes(configAction) && !configKey) {
+    throw new UsageError(`config ${configAction} needs a key, e.g. openai`);
+  }
+  const jobOptions = [
+    "job",
+    "subject",
+    "model",
+    "stage-model",
+    "fallback-model",
+    "breadth",
+    "depth",
+    "locale",
+    "rounds",
+    "concurrency",
+    "budget",
+    "overflow",
+    "retrieval",
+    "verify",
+    "search",
+    "source",
+    "source-list",
+    "allow-domain",
+    "deny-domain",
+    "min-length",
+    "min-score",
+    "answer",
+    "skip-followups",
+    "llm-cache",
+    "partial-results",
+  ];
+  if (values.resume && jobOptions.some((name) => values[name] !== undefined)) {
+    throw new UsageError("--resume continues a run with its original job");
+  }
+
+  return {
+    command,
+    cacheAction,
+    configAction,
+    configKey,
+    help: Boolean(values.help),
+    headless: Boolean(values.headless || values.job || values.subject),
+    resume: values.resume,
+    job: values.job,
+    subject: values.subject,
+    model: values.model,
+    stageModels: parseStageModels(values["stage-model"]),
+    fallbackModel: values["fallback-model"],
+    breadth: values.breadth,
+    depth: values.depth,
+    locale: values.locale,
+    rounds: values.rounds,
+    concurrency: values.concurrency,
+    budget: values.budget,
+    overflow: values.overflow,
+    retrieval: values.retrieval,
+    verify: values.verify,
+    searchProvider: values.search,
+    sources: values.source,
+    sourceList: values["source-list"],
+    allowDomains: values["allow-domain"],
+    denyDomains: values["deny-domain"],
+    minLength: values["min-length"],
+    minScore: values["min-score"],
+    answers: values.answer,
+    skipFollowups: values["skip-followups"],
+    llmCache: values["llm-cache"],
+    partialResults: values["partial-results"],
+    maxCostUsd: values["max-cost"],
+    maxTokens: values["max-tokens"],
+    budgetPolicy: values["on-budget"],
+    host: values.host,
+    port: values.port,
+    maxJobs: values["max-jobs"],
+    maxQueued: values["max-queued"],
+  };
+}
+
+// Turn repeated stage=model flags into a map
+function parseStageModels(entries) {
+  if (!entries) return undefined;
+
+  return Object.fromEntries(
+    entries.map((entry) => {
+      const [stage, model] = entry.split(/=(.*)/);
+      if (!model) {
+        throw new UsageError(`Invalid --stage-model ${entry}: use stage=model`);
+      }
+      return [stage, model];
+    })
+  );
+}
+
+// Merge the job file, CLI flags and saved config into a validated job
+export async function resolveHeadlessJob(options, config) {
+  let jobFile = {};
+  if (options.job) {
+    try {
+      jobFile = await fs.readJSON(options.job);
+    } catch (error) {
+      throw new UsageError(
+        `Could not read job file ${options.job}: ${error.message}`
+      );
+    }
+  }
+
+  // Flags take precedence over the job file
+  const flags = Object.fromEntries(
+    Object.entries(options).filter(([_, value]) => value !== undefined)
+  );
+  return resolveJob(jobFile, flags, config);
+}
+
+// Validate a job file's options, with flags on top and the saved config as
+// defaults. Follow-up answers are required unless they can be asked for
+export async function resolveJob(
+  jobFile,
+  flags = {},
+  config = {},
+  { requireAnswers = true } = {}
+) {
+  const job = { ...jobFile, ...flags };
+
+  const subject = String(job.subject || "");
+  const model = job.model || config.selected_model;
+  const breadth = String(job.breadth ?? config.breadth ?? 5);
+  const depth = String(job.depth ?? config.depth ?? 10);
+  const locale = String(job.locale || config.locale || "en-US");
+  const rounds = String(job.rounds ?? config.rounds ?? 1);
+  const concurrency = String(job.concurrency ?? config.concurrency ?? 1);
+  const budget = String(job.budget ?? config.budget ?? "");
+  const overflow = job.overflow || config.overflow || "condense";
+  const retrieval = job.retrieval || config.retrieval || "bm25";
+  const verify = job.verify || config.verify || "off";
+
+  for (const [name, value] of Object.entries({
+    subject,
+    breadth,
+    depth,
+    locale,
+    rounds,
+    concurrency,
+    budget,
+  })) {
+    const result = validators[name](value);
+    if (result !== true) {
+      throw new UsageError(`Invalid ${name}: ${result}`);
+    }
+  }
+
+  if (!["condense", "truncate"].includes(overflow)) {
+    throw new UsageError(`Invalid overflow: ${overflow}`);
+  }
+
+  if (!["bm25", "off"].includes(retrieval)) {
+    throw new UsageError(`Invalid retrieval: ${retrieval}`);
+  }
+  const retrievalTokens =
+    job.retrievalTokens ?? config.retrieval_tokens ?? null;
+  if (
+    retrievalTokens !== null &&
+    !(Number.isInteger(retrievalTokens) && retrievalTokens > 0)
+  ) {
+    throw new UsageError(
+      `Invalid retrieval tokens: ${retrievalTokens} (must be a positive integer)`
+    );
+  }
+
+  if (!["off", "flag", "drop", "rewrite"].includes(verify)) {
+    throw new UsageError(`Invalid verify: ${verify}`);
+  }
+
+  const limits = resolveLimits(job, config);
+  const stageModels = resolveStageModels(
+    { stageModels: { ...jobFile.stageModels, ...flags.stageModels } },
+    config
+  );
+
+  // Provider settings from the config and job file, provider from the flag
+  const search = { ...config.search, ...jobFile.search };
+  if (job.searchProvider) {
+    search.provider = job.searchProvider;
+  }
+  search.provider = search.provider || "google";
+  if (!searchProviders.includes(search.provider)) {
+    throw new UsageError(`Unsupported search provider: ${search.provider}`);
+  }
+
+  if (!model) {
+    throw new UsageError("A model is required (--model)");
+  }
+  if (!models.has(model)) {
+    throw new UsageError(`Unsupported model: ${model}`);
+  }
+  const fallbackModel = job.fallbackModel || config.fallback_model || null;
+  if (fallbackModel && !models.has(fallbackModel)) {
+    throw new UsageError(`Unsupported fallback model: ${fallbackModel}`);
+  }
+  // Without a base URL, self-hosted models' prompts would go to OpenAI
+  const selfHosted = [model, fallbackModel, ...Object.values(stageModels)]
+    .filter(Boolean)
+    .find((id) => models.get(id).provider === "compatible");
+  if (selfHosted && !config.compatible?.baseUrl) {
+    throw new UsageError(
+      `${selfHosted} is self-hosted and needs "compatible": { "baseUrl": ... } in the config file`
+    );
+  }
+  const retries = resolveRetries({ ...config.retries, ...jobFile.retries });
+
+  const sources = await resolveSources(job.sources, job.sourceList);
+
+  // Filter settings from the config and job file, lists and limits from flags
+  const quality = resolveQuality(
+    { ...config.quality, ...jobFile.quality },
+    flags
+  );
+
+  const answers = job.answers || [];
+  if (!Array.isArray(answers)) {
+    throw new UsageError("answers must be an array");
+  }
+  const skipFollowups = Boolean(job.skipFollowups);
+  if (requireAnswers && !skipFollowups && answers.length === 0) {
+    throw new UsageError(
+      "Headless mode needs follow-up answers (--answer) or --skip-followups"
+    );
+  }
+
+  return {
+    subject: subject.trim(),
+    model,
+    stageModels,
+    fallbackModel,
+    retries,
+    breadth: parseInt(breadth),
+    depth: parseInt(depth),
+    locale,
+    rounds: parseInt(rounds),
+    concurrency: parseInt(concurrency),
+    budget: parseFloat(budget) || null,
+    overflow,
+    retrieval,
+    retrievalTokens,
+    verify,
+    search,
+    sources,
+    quality,
+    llmCache: Boolean(job.llmCache ?? config.llm_cache),
+    partialResults: Boolean(job.partialResults ?? config.partial_results),
+    ...limits,
+    answers,
+    skipFollowups,
+  };
+}
+
+// Validate the spending limits of a job, falling back to the saved config
+export function resolveLimits(job, config = {}) {
+  const maxCostUsd = String(job.maxCostUsd ?? config.max_cost_usd ?? "");
+  const maxTokens = String(job.maxTokens ?? config.max_tokens ?? "");
+  const budgetPolicy = job.budgetPolicy || config.budget_policy || "stop";
+
+  const costResult = validators.budget(maxCostUsd);
+  if (costResult !== true) {
+    throw new UsageError(`Invalid max cost: ${costResult}`);
+  }
+  const tokensResult = validators.maxTokens(maxTokens);
+  if (tokensResult !== true) {
+    throw new UsageError(`Invalid max tokens: ${tokensResult}`);
+  }
+  if (!["stop", "warn"].includes(budgetPolicy)) {
+    throw new UsageError(`Invalid budget policy: ${budgetPolicy}`);
+  }
+
+  return {
+    maxCostUsd: parseFloat(maxCostUsd) || null,
+    maxTokens: parseInt(maxTokens) || null,
+    budgetPolicy,
+  };
+}
+
+// Local paths and URLs to research, checking that the paths exist
+export async function resolveSources(sources = [], sourceList) {
+  if (!Array.isArray(sources)) {
+    throw new UsageError("sources must be an array");
+  }
+
+  const all = [...sources];
+  if (sourceList) {
+    try {
+      all.push(...(await readSourceList(sourceList)));
+    } catch (error) {
+      throw new UsageError(
+        `Could not read source list ${sourceList}: ${error.message}`
+      );
+    }
+  }
+
+  for (const source of all) {
+    if (!isUrl(source) && !(await fs.pathExists(source))) {
+      throw new UsageError(`Source not found: ${source}`);
+    }
+  }
+  return [...new Set(all)];
+}
+
+// Validate the source filters, with domain lists and limits from the flags
+export function resolveQuality(quality = {}, flags = {}) {
+  const resolved = { ...QUALITY_DEFAULTS, ...quality };
+  if (flags.allowDomains) resolved.allow = flags.allowDomains;
+  if (flags.denyDomains) resolved.deny = flags.denyDomains;
+  if (flags.minLength !== undefined) resolved.minLength = flags.minLength;
+  if (flags.minScore !== undefined) resolved.minScore = flags.minScore;
+
+  for (const name of ["allow", "deny"]) {
+    const domains = resolved[name];
+    if (!Array.isArray(domains) || domains.some((d) => typeof d !== "string")) {
+      throw new UsageError(`quality.${name} must be an array of domains`);
+    }
+  }
+
+  const minLength = Number(resolved.minLength);
+  if (!Number.isInteger(minLength) || minLength < 0) {
+    throw new UsageError(`Invalid min length: ${resolved.minLength}`);
+  }
+  const minScore = Number(resolved.minScore);
+  if (isNaN(minScore) || minScore < 0 || minScore > 1) {
+    throw new UsageError(`Invalid min score: ${resolved.minScore}`);
+  }
+
+  const reputation = resolved.reputation;
+  if (
+    typeof reputation !== "object" ||
+    Array.isArray(reputation) ||
+    Object.values(reputation).some((r) => !(r >= 0 && r <= 1))
+  ) {
+    throw new UsageError(
+      "quality.reputation must map domains to scores between 0 and 1"
+    );
+  }
+
+  return { ...resolved, minLength, minScore };
+}
+
+// Validate the retry settings, on top of the defaults
+export function resolveRetries(retries = {}) {
+  const resolved = { ...RETRY_DEFAULTS, ...retries };
+  if (
+    !Number.isInteger(resolved.attempts) ||
+    resolved.attempts < 1 ||
+    resolved.attempts > 10
+  ) {
+    throw new UsageError("retries.attempts must be a number between 1 and 10");
+  }
+  for (const name of ["baseDelayMs", "maxDelayMs"]) {
+    if (!(resolved[name] >= 0)) {
+      throw new UsageError(`retries.${name} must be a positive number`);
+    }
+  }
+  return resolved;
+}
+
+// Validate the per-stage models of a job, on top of the saved config ones
+export function resolveStageModels(job, config = {}) {
+  const stageModels = { ...config.stage_models, ...job.stageModels };
+
+  for (const [stage, model] of Object.entries(stageModels)) {
+    if (!STAGES.includes(stage)) {
+      throw new UsageError(
+        `Unknown stage: ${stage} (stages: ${STAGES.join(", ")})`
+      );
+    }
+    if (!models.has(model)) {
+      throw new UsageError(`Unsupported model for ${stage}: ${model}`);
+    }
+  }
+  return stageModels;
+}
+
+// Answers given as {question, answer} pairs don't need generated questions
+export function hasPairedAnswers(answers) {
+  return (
+    answers.length > 0 &&
+    answers.every((a) => typeof a === "object" && a !== null && a.question)
+  );
+}
+
+// Pair generated questions with pre-supplied answers, in order
+export function pairAnswers(questions, answers) {
+  return questions.map((question, i) => ({
+    question,
+    answer: answers[i] === undefined ? "" : String(answers[i]),
+  }));
+}
@@ -0,0 +1,298 @@
+// Settings and API keys. Keys come from environment variables first, then a
+// .env file in the working directory, then the config file. The config file
+// lives in the user's config directory and its keys can be encrypted with a
+// passphrase (scrypt + AES-256-GCM), leaving the other settings readable
+
+import os from "os";
+import path from "path";
+import { parseEnv, promisify } from "util";
+import {
+  createCipheriv,
+  createDecipheriv,
+  randomBytes,
+  scrypt as scryptCallback,
+} from "crypto";
+import fs from "fs-extra";
+import { providers } from "./models.js";
+
+const scrypt = promisify(scryptCallback);
+
+// Overrides the config file's location
+export const CONFIG_VARIABLE = "DEEP_RESEARCH_CONFIG";
+
+// Unlocks encrypted keys without a prompt
+export const PASSPHRASE_VARIABLE = "DEEP_RESEARCH_PASSPHRASE";
+
+// Read when the user's config directory has no config yet, and moved there
+// when it's next saved
+export const LEGACY_CONFIG_PATH = ".config.json";
+
+// Config keys holding credentials, with the environment variables they can
+// be given in
+export const SECRET_KEYS = {
+  apify_api_token: "APIFY_TOKEN",
+  ...Object.fromEntries(
+    Object.keys(providers).map((provider) => [
+      `${provider}_api_key`,
+      `${provider.toUpperCase()}_API_KEY`,
+    ])
+  ),
+};
+
+// Cost parameters of the key derivation: 2^15 iterations need 32 MB
+const SCRYPT_OPTIONS = { N: 2 ** 15, r: 8, p: 1, maxmem: 64 * 1024 * 1024 };
+
+export class ConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ConfigError";
+  }
+}
+
+// How each loaded config was read, to write it back the same way
+const origins = new WeakMap();
+
+// The user-level config file: under %APPDATA% on Windows, Application
+// Support on macOS and $XDG_CONFIG_HOME (~/.config) elsewhere
+export function userConfigPath(env = process.env) {
+  const base =
+    process.platform === "win32"
+      ? env.APPDATA || path.join(os.homedir(), "AppData", "Roaming")
+      : process.platform === "darwin"
+      ? path.join(os.homedir(), "Library", "Application Support")
+      : env.XDG_CONFIG_HOME || path.join(os.homedir(), ".config");
+  return path.join(base, "apify-deep-research", "config.json");
+}
+
+// The file settings are read from: the one named in DEEP_RESEARCH_CONFIG,
+// the user's, or a .config.json left in the working directory
+export async function configPath(env = process.env) {
+  if (env[CONFIG_VARIABLE]) {
+    return env[CONFIG_VARIABLE];
+  }
+  const userPath = userConfigPath(env);
+  if (
+    !(await fs.pathExists(userPath)) &&
+    (await fs.pathExists(LEGACY_CONFIG_PATH))
+  ) {
+    return LEGACY_CONFIG_PATH;
+  }
+  return userPath;
+}
+
+// Variables from a .env file, if there is one
+export async function readEnvFile(file = ".env") {
+  try {
+    return parseEnv(await fs.readFile(file, "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") return {};
+    throw new ConfigError(`Could not read ${file}: ${error.message}`);
+  }
+}
+
+// Credentials set in the environment, by config key
+export function credentialsFromEnv(env) {
+  return Object.fromEntries(
+    Object.entries(SECRET_KEYS)
+      .filter(([_, variable]) => env[variable])
+      .map(([key, variable]) => [key, env[variable]])
+  );
+}
+
+export async function encryptSecrets(secrets, passphrase) {
+  const salt = randomBytes(16);
+  const iv = randomBytes(12);
+  const key = await scrypt(passphrase, salt, 32, SCRYPT_OPTIONS);
+  const cipher = createCipheriv("aes-256-gcm", key, iv);
+  const data = Buffer.concat([
+    cipher.update(JSON.stringify(secrets), "utf8"),
+    cipher.final(),
+  ]);
+  return {
+    cipher: "aes-256-gcm",
+    kdf: "scrypt",
+    N: SCRYPT_OPTIONS.N,
+    r: SCRYPT_OPTIONS.r,
+    p: SCRYPT_OPTIONS.p,
+    salt: salt.toString("base64"),
+    iv: iv.toString("base64"),
+    tag: cipher.getAuthTag().toString("base64"),
+    data: data.toString("base64"),
+  };
+}
+
+export async function decryptSecrets(encrypted, passphrase) {
+  const { N, r, p } = encrypted;
+  const key = await scrypt(
+    passphrase,
+    Buffer.from(encrypted.salt, "base64"),
+    32,
+    { N, r, p, maxmem: SCRYPT_OPTIONS.maxmem }
+  );
+  const decipher = createDecipheriv(
+    "aes-256-gcm",
+    key,
+    Buffer.from(encrypted.iv, "base64")
+  );
+  decipher.setAuthTag(Buffer.from(encrypted.tag, "base64"));
+  try {
+    return JSON.parse(
+      Buffer.concat([
+        decipher.update(Buffer.from(encrypted.data, "base64")),
+        decipher.final(),
+      ]).toString("utf8")
+    );
+  } catch {
+    throw new ConfigError("Wrong passphrase for the encrypted keys");
+  }
+}
+
+// Read the settings and keys, with keys from the environment and .env on
+// top. Encrypted keys stay locked until unlockConfig is given the passphrase
+export async function loadConfig(env = process.env) {
+  const file = await configPath(env);
+  let stored = {};
+  try {
+    stored = await fs.readJSON(file);
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      throw new ConfigError(`Could not read ${file}: ${error.message}`);
+    }
+  }
+
+  const { secrets: encrypted, ...settings } = stored;
+  // Self-hosted servers' keys used to be saved in their settings
+  if (settings.compatible?.apiKey) {
+    const { apiKey, ...compatible } = settings.compatible;
+    settings.compatible = compatible;
+    settings.compatible_api_key ??= apiKey;
+  }
+  const environment = credentialsFromEnv({
+    ...(await readEnvFile()),
+    ...env,
+  });
+  const config = { ...settings, ...environment };
+  origins.set(config, {
+    file,
+    userFile: userConfigPath(env),
+    encrypted: encrypted || null,
+    passphrase: null,
+    stored: Object.fromEntries(
+      Object.keys(SECRET_KEYS)
+        .filter((key) => settings[key])
+        .map((key) => [key, settings[key]])
+    ),
+    environment,
+  });
+  return config;
+}
+
+// Where a config was read from, whether its keys are encrypted and still
+// locked, and where each key comes from
+export function describeConfig(config) {
+  const origin = origins.get(config);
+  return {
+    file: origin.file,
+    encrypted: Boolean(origin.encrypted),
+    locked: Boolean(origin.encrypted) && !origin.passphrase,
+    sources: Object.fromEntries(
+      Object.keys(SECRET_KEYS).map((key) => [
+        key,
+        origin.environment[key] && config[key] === origin.environment[key]
+          ? "environment"
+          : config[key]
+          ? "config file"
+          : null,
+      ])
+    ),
+  };
+}
+
+// Decrypt the config file's keys into the config, under the ones set in the
+// environment
+export async function unlockConfig(config, passphrase) {
+  const origin = origins.get(config);
+  if (!origin.encrypted) return;
+
+  const secrets = await decryptSecrets(origin.encrypted, passphrase);
+  origin.passphrase = passphrase;
+  origin.stored = { ...origin.stored, ...secrets };
+  for (const [key, value] of Object.entries(secrets)) {
+    if (!origin.environment[key]) {
+      config[key] = value;
+    }
+  }
+}
+
+// Write the settings and the keys that didn't come from the environment,
+// encrypted if the file's keys were, or with the new passphrase given.
+// passphrase: null stores them in plaintext again
+export async function saveConfig(config, { passphrase } = {}) {
+  const origin = origins.get(config);
+  if (origin.encrypted && !origin.passphrase) {
+    throw new ConfigError("Unlock the encrypted keys before saving them");
+  }
+  if (passphrase !== undefined) {
+    origin.passphrase = passphrase;
+  }
+
+  const settings = {};
+  const secrets = {};
+  for (const [key, value] of Object.entries(config)) {
+    if (!(key in SECRET_KEYS)) {
+      settings[key] = value;
+    } else if (value && value !== origin.environment[key]) {
+      secrets[key] = value;
+    } else if (value && origin.stored[key]) {
+      // Keys also set in the environment keep their saved value
+      secrets[key] = origin.stored[key];
+    }
+  }
+
+  // Settings read from the working directory move to the user's directory
+  const file =
+    origin.file === LEGACY_CONFIG_PATH ? origin.userFile : origin.file;
+  origin.encrypted = origin.passphrase
+    ? await encryptSecrets(secrets, origin.passphrase)
+    : null;
+  origin.stored = secrets;
+
+  await fs.ensureDir(path.dirname(file), { mode: 0o700 });
+  await fs.writeJSON(
+    file,
+    origin.encrypted
+      ? { ...settings, secrets: origin.encrypted }
+      : { ...settings, ...secrets },
+    { spaces: 2, mode: 0o600 }
+  );
+  // The mode only applies to new files
+  await fs.chmod(file, 0o600);
+  const moved = file !== origin.file;
+  if (moved) {
+    await fs.remove(origin.file);
+  }
+  origin.file = file;
+  return { file, moved };
+}
+
+// The config key a name refers to: openai, openai_api_key, OPENAI_API_KEY
+export function resolveSecretKey(name) {
+  const lower = String(name || "").toLowerCase();
+  const key = Object.keys(SECRET_KEYS).find(
+    (key) =>
+      key === lower ||
+      SECRET_KEYS[key].toLowerCase() === lower ||
+      key.split("_")[0] === lower
+  );
+  if (!key) {
+    throw new ConfigError(
+      `Unknown key: ${name} (keys: ${Object.keys(SECRET_KEYS).join(", ")})`
+    );
+  }
+  return key;
+}
+
+// Enough of a key to tell which one it is
+export function maskSecret(value) {
+  return value.length > 8 ? `****${value.slice(-4)}` : "****";
+}
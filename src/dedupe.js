@@ -0,0 +1,73 @@
+// Near-duplicate detection with simhash: syndicated articles and mirrors are
+// clustered so only one canonical page per cluster reaches the chapters
+
+import { createHash } from "crypto";
+
+// Words per shingle
+const SHINGLE_WORDS = 3;
+
+// Most differing simhash bits for two pages to count as near-duplicates.
+// Copies with their own header, footer or a changed paragraph differ by 5 to
+// 10 bits, unrelated pages by around 32
+export const NEAR_DUPLICATE_BITS = 10;
+
+const MASK = (1n << 64n) - 1n;
+
+function hash64(text) {
+  return createHash("md5").update(text).digest().readBigUInt64BE(0);
+}
+
+// 64-bit simhash of the text's word shingles, ignoring case and punctuation
+export function simhash(text) {
+  const words = text
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+  const shingles = new Set();
+  for (let i = 0; i <= Math.max(0, words.length - SHINGLE_WORDS); i++) {
+    shingles.add(words.slice(i, i + SHINGLE_WORDS).join(" "));
+  }
+
+  const weights = new Array(64).fill(0);
+  for (const shingle of shingles) {
+    const hash = hash64(shingle);
+    for (let bit = 0; bit < 64; bit++) {
+      weights[bit] += (hash >> BigInt(bit)) & 1n ? 1 : -1;
+    }
+  }
+
+  let fingerprint = 0n;
+  for (let bit = 0; bit < 64; bit++) {
+    if (weights[bit] > 0) fingerprint |= 1n << BigInt(bit);
+  }
+  return fingerprint & MASK;
+}
+
+export function hammingDistance(a, b) {
+  let diff = a ^ b;
+  let count = 0;
+  while (diff) {
+    diff &= diff - 1n;
+    count++;
+  }
+  return count;
+}
+
+// Group contents into clusters of near-identical texts. Contents come in
+// order of preference: each joins the first cluster whose canonical page is
+// close enough, or starts a new one
+export function clusterContents(contents, maxBits = NEAR_DUPLICATE_BITS) {
+  const clusters = [];
+  for (const content of contents) {
+    const hash = simhash(content.text || "");
+    const cluster = clusters.find(
+      (c) => hammingDistance(c.hash, hash) <= maxBits
+    );
+    if (cluster) {
+      cluster.alternates.push(content);
+    } else {
+      clusters.push({ hash, canonical: content, alternates: [] });
+    }
+  }
+  return clusters;
+}
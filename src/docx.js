@@ -0,0 +1,134 @@
+// Word export of the JSON report, with footnote citations
+
+import {
+  Document,
+  ExternalHyperlink,
+  FootnoteReferenceRun,
+  HeadingLevel,
+  Packer,
+  Paragraph,
+  TableOfContents,
+  TextRun,
+} from "docx";
+
+// citationQuality is the formatted summary line, if paragraphs were verified
+export async function renderDocx(
+  report,
+  { rtl = false, citationQuality = null } = {}
+) {
+  const sources = new Map(report.sources.map((source) => [source.id, source]));
+
+  const text = (value, options = {}) =>
+    new TextRun({ text: value, rightToLeft: rtl, ...options });
+  const paragraph = (children, options = {}) =>
+    new Paragraph({ children, bidirectional: rtl, ...options });
+
+  // Every citation gets its own footnote with the source's title and link
+  const footnotes = {};
+  const cite = (id) => {
+    const source = sources.get(id);
+    const footnoteId = Object.keys(footnotes).length + 1;
+    footnotes[footnoteId] = {
+      children: [
+        paragraph([
+          text(`(${id}) ${source.title}. `),
+          new ExternalHyperlink({
+            link: source.url,
+            children: [text(source.url, { style: "Hyperlink" })],
+          }),
+        ]),
+      ],
+    };
+    return new FootnoteReferenceRun(footnoteId);
+  };
+
+  const children = [
+    paragraph([text(report.subject)], { heading: HeadingLevel.TITLE }),
+    paragraph([
+      text(
+        `Generated on ${
+          report.generatedAt.split("T")[0]
+        } by apify-deep-research (not for commercial use)`,
+        { italics: true }
+      ),
+    ]),
+    new TableOfContents(report.subject, {
+      hyperlink: true,
+      headingStyleRange: "1-1",
+    }),
+    paragraph([text(report.abstract, { italics: true })]),
+  ];
+
+  for (const chapter of report.chapters) {
+    children.push(
+      paragraph([text(`${chapter.number}. ${chapter.title}`)], {
+        heading: HeadingLevel.HEADING_1,
+      }),
+      paragraph([text(chapter.summary, { italics: true })])
+    );
+    for (const para of chapter.paragraphs) {
+      children.push(
+        paragraph([
+          text(para.text),
+          ...para.sources.filter((id) => sources.has(id)).map(cite),
+          ...(para.flag ? [text(` (${para.flag})`, { italics: true })] : []),
+        ])
+      );
+    }
+  }
+
+  children.push(paragraph([text(report.conclusions, { italics: true })]));
+  if (citationQuality) {
+    children.push(paragraph([text(citationQuality, { italics: true })]));
+  }
+
+  // The full source list, numbered like the footnotes, with the addresses
+  // of near-duplicate copies
+  const link = (url) =>
+    new ExternalHyperlink({
+      link: url,
+      children: [text(url, { style: "Hyperlink" })],
+    });
+  for (const source of report.sources) {
+    children.push(
+      paragraph([
+        text(`(${source.id}) ${source.title}. `),
+        link(source.url),
+        ...(source.alternates || []).flatMap((url) => [text(" "), link(url)]),
+      ])
+    );
+  }
+
+  // Appendix of the sources left out of the research, and why
+  const excluded = report.excludedSources || [];
+  if (excluded.length > 0) {
+    children.push(
+      paragraph([text("Excluded sources")], {
+        heading: HeadingLevel.HEADING_1,
+      })
+    );
+    for (const source of excluded) {
+      children.push(
+        paragraph([
+          text(`${source.title}. `),
+          new ExternalHyperlink({
+            link: source.url,
+            children: [text(source.url, { style: "Hyperlink" })],
+          }),
+          text(` ${source.reasons.join("; ")}`, { italics: true }),
+        ])
+      );
+    }
+  }
+
+  const document = new Document({
+    title: report.subject,
+    creator: "apify-deep-research",
+    // Ask Word to fill in the table of contents when opening the file
+    features: { updateFields: true },
+    footnotes,
+    sections: [{ children }],
+  });
+
+  return Packer.toBuffer(document);
+}
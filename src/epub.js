@@ -0,0 +1,191 @@
+// EPUB 3 export of the JSON report, with pop-up footnote citations
+
+import JSZip from "jszip";
+import { randomUUID } from "crypto";
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+const STYLESHEET = `body { font-family: serif; line-height: 1.5; }
+h1, h2 { font-family: sans-serif; }
+.summary, .abstract, .conclusions, .note { font-style: italic; }
+a.noteref { font-size: 0.75em; vertical-align: super; text-decoration: none; }
+aside.footnote { font-size: 0.85em; }
+ol.sources { padding-left: 1.5em; }`;
+
+// citationQuality is the formatted summary line, if paragraphs were verified
+export async function renderEpub(
+  report,
+  { rtl = false, citationQuality = null } = {}
+) {
+  const language = report.parameters.locale;
+  const dir = rtl ? "rtl" : "ltr";
+  const sources = new Map(report.sources.map((source) => [source.id, source]));
+
+  const page = (title, body) => `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${language}" lang="${language}" dir="${dir}">
+<head>
+  <title>${escapeXml(title)}</title>
+  <link rel="stylesheet" type="text/css" href="style.css"/>
+</head>
+<body>
+${body}
+</body>
+</html>`;
+
+  const sourceLink = (source) =>
+    `${escapeXml(source.title)}. <a href="${escapeXml(source.url)}">${escapeXml(
+      source.url
+    )}</a>`;
+
+  const pages = [
+    {
+      id: "title",
+      title: report.subject,
+      body: `<h1>${escapeXml(report.subject)}</h1>
+<p class="note">Generated on ${
+        report.generatedAt.split("T")[0]
+      } by apify-deep-research (not for commercial use)</p>
+<p class="abstract">${escapeXml(report.abstract)}</p>`,
+    },
+  ];
+
+  for (const chapter of report.chapters) {
+    // One footnote per cited source, numbered like the reference list
+    const cited = new Set();
+    const paragraphs = chapter.paragraphs.map((para) => {
+      const refs = para.sources
+        .filter((id) => sources.has(id))
+        .map((id) => {
+          cited.add(id);
+          return `<a class="noteref" epub:type="noteref" href="#note-${id}">${id}</a>`;
+        });
+      const flag = para.flag ? ` <em>(${escapeXml(para.flag)})</em>` : "";
+      return `<p>${escapeXml(para.text)}${refs.join("")}${flag}</p>`;
+    });
+    const notes = [...cited].map(
+      (id) =>
+        `<aside class="footnote" epub:type="footnote" id="note-${id}"><p>${id}. ${sourceLink(
+          sources.get(id)
+        )}</p></aside>`
+    );
+
+    pages.push({
+      id: `chapter-${chapter.number}`,
+      title: `${chapter.number}. ${chapter.title}`,
+      body: `<section epub:type="chapter">
+<h2>${escapeXml(`${chapter.number}. ${chapter.title}`)}</h2>
+<p class="summary">${escapeXml(chapter.summary)}</p>
+${paragraphs.join("\n")}
+${notes.join("\n")}
+</section>`,
+    });
+  }
+
+  pages.push({
+    id: "conclusions",
+    title: report.subject,
+    body: `<p class="conclusions">${escapeXml(report.conclusions)}</p>
+${
+  citationQuality ? `<p class="note">${escapeXml(citationQuality)}</p>\n` : ""
+}<ol class="sources">
+${report.sources
+  .map(
+    (source) =>
+      `<li>${sourceLink(source)}${(source.alternates || [])
+        .map((url) => ` <a href="${escapeXml(url)}">${escapeXml(url)}</a>`)
+        .join("")}</li>`
+  )
+  .join("\n")}
+</ol>`,
+  });
+
+  // Appendix of the sources left out of the research, and why
+  const excluded = report.excludedSources || [];
+  if (excluded.length > 0) {
+    pages.push({
+      id: "excluded",
+      title: "Excluded sources",
+      body: `<section epub:type="appendix">
+<h2>Excluded sources</h2>
+<ul>
+${excluded
+  .map(
+    (source) =>
+      `<li>${sourceLink(source)} <em>${escapeXml(
+        source.reasons.join("; ")
+      )}</em></li>`
+  )
+  .join("\n")}
+</ul>
+</section>`,
+    });
+  }
+
+  const nav = page(
+    report.subject,
+    `<nav epub:type="toc" id="toc">
+<h1>${escapeXml(report.subject)}</h1>
+<ol>
+${pages
+  .filter((p) => p.id.startsWith("chapter-") || p.id === "excluded")
+  .map((p) => `<li><a href="${p.id}.xhtml">${escapeXml(p.title)}</a></li>`)
+  .join("\n")}
+</ol>
+</nav>`
+  );
+
+  const opf = `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="id" xml:lang="${language}" dir="${dir}">
+<metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <dc:identifier id="id">urn:uuid:${randomUUID()}</dc:identifier>
+  <dc:title>${escapeXml(report.subject)}</dc:title>
+  <dc:language>${language}</dc:language>
+  <dc:creator>apify-deep-research</dc:creator>
+  <meta property="dcterms:modified">${report.generatedAt.replace(
+    /\.\d+Z$/,
+    "Z"
+  )}</meta>
+</metadata>
+<manifest>
+  <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>
+  <item id="style" href="style.css" media-type="text/css"/>
+${pages
+  .map(
+    (p) =>
+      `  <item id="${p.id}" href="${p.id}.xhtml" media-type="application/xhtml+xml"/>`
+  )
+  .join("\n")}
+</manifest>
+<spine${rtl ? ' page-progression-direction="rtl"' : ""}>
+${pages.map((p) => `  <itemref idref="${p.id}"/>`).join("\n")}
+</spine>
+</package>`;
+
+  const zip = new JSZip();
+  // The mimetype must come first and uncompressed
+  zip.file("mimetype", "application/epub+zip", { compression: "STORE" });
+  zip.file(
+    "META-INF/container.xml",
+    `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+  </rootfiles>
+</container>`
+  );
+  zip.file("OEBPS/content.opf", opf);
+  zip.file("OEBPS/nav.xhtml", nav);
+  zip.file("OEBPS/style.css", STYLESHEET);
+  for (const p of pages) {
+    zip.file(`OEBPS/${p.id}.xhtml`, page(p.title, p.body));
+  }
+
+  return zip.generateAsync({ type: "nodebuffer", compression: "DEFLATE" });
+}
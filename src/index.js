@@ -1,23 +1,69 @@
-import { ApifyClient } from "apify-client";
 import { input, select, password } from "@inquirer/prompts";
-import fs from "fs-extra";
 import ora from "ora";
-import { Research } from "./research.js";
-import supportedModels from "./models.js";
-
-// Global state
-let stats = {
-  startTime: Date.now(),
-  inputTokens: 0,
-  outputTokens: 0,
-  llmCost: 0,
-  apifyCost: 0,
-};
+import { formatCitationQuality } from "./research.js";
+import models, { providers, loadModels, formatModels } from "./models.js";
+import { RunStore } from "./checkpoint.js";
+import { formatExcludedSource } from "./quality.js";
+import {
+  ResearchRun,
+  getJobModels,
+  getProviderKey,
+  getMissingCredentials,
+  needsApify,
+  formatSourceUsage,
+} from "./pipeline.js";
+import { JobQueue, createServer, resolveServerOptions } from "./server.js";
+import {
+  ConfigError,
+  LEGACY_CONFIG_PATH,
+  PASSPHRASE_VARIABLE,
+  SECRET_KEYS,
+  loadConfig,
+  saveConfig as writeConfig,
+  unlockConfig,
+  describeConfig,
+  resolveSecretKey,
+  maskSecret,
+} from "./config.js";
+import {
+  UrlCache,
+  LlmCache,
+  formatCacheEntries,
+  formatCacheStats,
+} from "./cache.js";
+import {
+  EXIT_CODES,
+  USAGE,
+  UsageError,
+  validators,
+  parseCliArgs,
+  resolveHeadlessJob,
+  resolveLimits,
+  resolveStageModels,
+  resolveSources,
+  resolveQuality,
+  resolveRetries,
+} from "./cli.js";
 
 const spinner = ora();
+// Messages of the stages in progress, the latest shown by the spinner
+const activeStages = new Map();
+
+// Headless runs keep stdout for machine-readable output
+let headless = false;
+let progress = process.stdout;
+
+function log(message) {
+  progress.write(`${message}\n`);
+}
+
+// A line of run output, clearing the spinner's line first
+function logLine(line) {
+  progress.write(`\x1b[2K\r${line}\n`);
+}
 
 // Status bar update function
-function showStats() {
+function showStats(stats) {
   const duration = ((Date.now() - stats.startTime) / 1000).toFixed(0);
   const hours = Math.floor(duration / 3600);
   const minutes = Math.floor((duration % 3600) / 60);
@@ -31,38 +77,375 @@ function showStats() {
 
   const statsLine = `Tokens: ${stats.inputTokens.toLocaleString()} input & ${stats.outputTokens.toLocaleString()} output | LLM: $${stats.llmCost.toFixed(
     3
-  )} | Apify: $${stats.apifyCost.toFixed(
-    3
-  )} | Total: $${totalCost} | Duration: ${timeStr}`;
+  )} | Apify: $${stats.apifyCost.toFixed(3)} | Total: $${totalCost}${
+    stats.cachedTokens
+      ? ` | Cached: ${stats.cachedTokens.toLocaleString()} tokens ($${stats.savedCost.toFixed(
+          3
+        )} saved)`
+      : ""
+  } | Duration: ${timeStr}`;
+
+  const modelStats = Object.entries(stats.models || {});
+  const modelsLine =
+    modelStats.length > 1
+      ? `\n${modelStats
+          .map(
+            ([model, usage]) =>
+              `${model}: ${(
+                usage.inputTokens + usage.outputTokens
+              ).toLocaleString()} tokens, $${usage.cost.toFixed(3)}`
+          )
+          .join(" | ")}`
+      : "";
+
+  progress.write(`\x1b[90m${statsLine}${modelsLine}\x1b[0m\n\n`);
+}
+
+// Write a run's progress events to the terminal
+function renderEvent(event) {
+  switch (event.type) {
+    case "stage:start":
+      if (event.message) {
+        activeStages.set(event.stage, event.message);
+        updateSpinner();
+        spinner.start();
+      }
+      break;
+    case "stage:end":
+      if (activeStages.delete(event.stage)) {
+        updateSpinner();
+      }
+      break;
+    case "info":
+      logLine(event.message);
+      break;
+    case "warning":
+      logLine(`\x1b[33m⚠ ${event.message}\x1b[0m`);
+      break;
+    case "query":
+      logLine(`\x1b[32m✓\x1b[0m \x1b[1m${event.query}\x1b[0m`);
+      break;
+    case "gap":
+      logLine(`\x1b[33m?\x1b[0m ${event.gap}`);
+      break;
+    case "url:found":
+      logLine(
+        event.excluded
+          ? `\x1b[33m✗\x1b[0m ${formatExcludedSource(event.excluded)}`
+          : `\x1b[32m✓\x1b[0m \x1b[1m${event.url}\x1b[0m`
+      );
+      break;
+    case "source:skipped":
+      logLine(`\x1b[33m✗\x1b[0m ${event.file}: ${event.reason}`);
+      break;
+    case "source:excluded":
+      logLine(`\x1b[33m✗\x1b[0m ${formatExcludedSource(event)}`);
+      break;
+    case "outline":
+      logLine("Generated list of chapters");
+      event.chapters.forEach((c) => {
+        logLine(`\x1b[32m✓\x1b[0m ${c.number}. ${c.title}`);
+      });
+      break;
+    case "chapter":
+      logLine(
+        `\x1b[32m✓\x1b[0m \x1b[1m${event.number}. ${event.title}\x1b[0m\n${event.summary}`
+      );
+      if (event.sourceUsage) {
+        log(formatSourceUsage(event.sourceUsage));
+      }
+      if (event.citations) {
+        log(formatCitationQuality(event.citations));
+      }
+      break;
+    case "cost":
+      showStats(event.stats);
+      break;
+  }
+}
 
-  process.stdout.write(`\x1b[90m${statsLine}\x1b[0m\n\n`);
+// Show the latest stage in progress, mentioning parallel ones
+function updateSpinner() {
+  const messages = [...activeStages.values()];
+  if (messages.length === 0) {
+    spinner.stop();
+    return;
+  }
+  spinner.text =
+    messages.length > 1
+      ? `${messages.at(-1)} (+${messages.length - 1} more)`
+      : messages[0];
 }
 
 // Main function
 async function main() {
-  let config = await loadConfig();
+  const options = parseCliArgs(process.argv.slice(2));
+  if (options.help) {
+    console.log(USAGE);
+    return EXIT_CODES.success;
+  }
 
-  // Get Apify token
-  while (!config.apify_api_token) {
-    config.apify_api_token = await password({
-      message: "Enter your Apify API token (https://www.apify.com?fpr=prsmf):",
-      mask: "*",
-    });
+  const config = await loadConfig();
+  try {
+    await loadModels(config);
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  if (options.command === "models") {
+    console.log(formatModels(models));
+    return EXIT_CODES.success;
+  }
+
+  let urlCache;
+  try {
+    urlCache = new UrlCache(config.cache);
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  if (options.command === "cache") {
+    await runCacheCommand(urlCache, options.cacheAction);
+    return EXIT_CODES.success;
+  }
+
+  if (options.command === "config") {
+    await runConfigCommand(config, options);
+    return EXIT_CODES.success;
+  }
+
+  headless = options.headless;
+  if (headless) {
+    progress = process.stderr;
+    spinner.isEnabled = false;
+  }
+
+  // Only runs started from a terminal can ask for the passphrase
+  await unlockKeys(config, {
+    prompt: !options.headless && process.stdin.isTTY,
+  });
+
+  // Keys left in the working directory move out of it on any run that can
+  // read them
+  const origin = describeConfig(config);
+  if (origin.file === LEGACY_CONFIG_PATH && !origin.locked) {
     await saveConfig(config);
   }
 
-  // Create array of all models with their info
-  const modelChoices = [];
-  for (const [provider, info] of Object.entries(supportedModels)) {
-    for (const [model, pricing] of Object.entries(info.models)) {
-      modelChoices.push({
-        provider,
-        providerName: info.name,
-        model,
-        pricing,
-      });
+  if (options.command === "serve") {
+    await runServeCommand(config, options);
+    return EXIT_CODES.success;
+  }
+
+  let store;
+  let job;
+  if (options.resume) {
+    try {
+      ({ store, job } = await RunStore.open(options.resume));
+    } catch (error) {
+      throw new UsageError(error.message);
+    }
+
+    // Limits given on the command line replace the run's own
+    const overrides = Object.fromEntries(
+      ["maxCostUsd", "maxTokens", "budgetPolicy"]
+        .filter((key) => options[key] !== undefined)
+        .map((key) => [key, options[key]])
+    );
+    job = { ...job, ...resolveLimits({ ...job, ...overrides }) };
+    await store.save("job", job);
+
+    log(`Resuming run ${store.runId}: ${job.subject}`);
+  } else {
+    job = headless
+      ? await resolveHeadlessJob(options, config)
+      : await promptForJob(config);
+  }
+
+  // Check or ask for the keys this job needs
+  if (headless) {
+    const missing = getMissingCredentials(config, getJobModels(job), {
+      apify: needsApify(job),
+    });
+    if (missing.length > 0) {
+      console.error(formatMissingCredentials(config, missing));
+      return EXIT_CODES.missingCredentials;
+    }
+  } else {
+    if (needsApify(job)) {
+      await promptForApifyToken(config);
+    }
+    for (const model of getJobModels(job)) {
+      await promptForProviderKey(config, model);
+    }
+  }
+
+  // New runs are only stored once they can start
+  if (!store) {
+    store = await RunStore.create(job);
+    log(`Started run ${store.runId}`);
+  }
+
+  const resumeHint = `Resume with: npm start -- --resume ${store.runId}`;
+  const controller = new AbortController();
+  const run = new ResearchRun({
+    config,
+    store,
+    signal: controller.signal,
+    // Headless runs answer with the job's answers
+    askQuestions: headless ? undefined : askQuestions,
+  });
+  run.on("event", renderEvent);
+
+  // Ctrl+C cancels the run and its Apify run, a second one quits right away
+  process.on("SIGINT", () => {
+    if (controller.signal.aborted) {
+      process.exit(EXIT_CODES.interrupted);
+    }
+    activeStages.clear();
+    spinner.stop();
+    log("\nCancelling the run...");
+    controller.abort();
+  });
+
+  let result;
+  try {
+    result = await run.start();
+  } catch (error) {
+    activeStages.clear();
+    const interrupted = controller.signal.aborted;
+    if (interrupted) {
+      spinner.stop();
+    } else {
+      spinner.fail("Research failed");
+      console.error(error);
+    }
+    showStats(run.stats);
+    log(resumeHint);
+
+    if (headless) {
+      process.stdout.write(
+        `${JSON.stringify({
+          status: interrupted ? "interrupted" : "error",
+          runId: store.runId,
+          ...(!interrupted && { error: error.message }),
+        })}\n`
+      );
+    }
+    return interrupted ? EXIT_CODES.interrupted : EXIT_CODES.failure;
+  }
+
+  const { status, runId, subject, paths } = result;
+  if (status !== "success") {
+    log(`Raise --max-cost or --max-tokens to continue. ${resumeHint}`);
+  }
+  if (headless) {
+    process.stdout.write(
+      `${JSON.stringify({ status, runId, subject, paths })}\n`
+    );
+  } else if (status === "success") {
+    spinner.succeed(`Research complete! Files saved:\n${formatPaths(paths)}`);
+  } else if (status === "partial") {
+    spinner.succeed(`Partial report saved:\n${formatPaths(paths)}`);
+  }
+  return status === "success" ? EXIT_CODES.success : EXIT_CODES.budgetExceeded;
+}
+
+// Ask the follow-up questions one by one
+async function askQuestions(questions) {
+  const answers = [];
+  for (const question of questions) {
+    const answer = await input({
+      message: question,
+    });
+    answers.push({ question, answer });
+  }
+  return answers;
+}
+
+async function runCacheCommand(urlCache, action) {
+  switch (action) {
+    case "list": {
+      const entries = await urlCache.list();
+      console.log(
+        entries.length > 0 ? formatCacheEntries(entries) : "The cache is empty"
+      );
+      break;
+    }
+    case "stats":
+      console.log(
+        formatCacheStats(await urlCache.stats(), await new LlmCache().stats())
+      );
+      break;
+    case "prune": {
+      const { removed, orphans } = await urlCache.prune();
+      console.log(
+        `Removed ${removed} expired entries and ${orphans} unindexed pages`
+      );
+      break;
+    }
+    case "purge": {
+      const { removed, orphans } = await urlCache.purge();
+      const llm = await new LlmCache().purge();
+      console.log(
+        `Removed ${removed} entries, ${orphans} unindexed pages and ${llm.removed} LLM responses`
+      );
+      break;
     }
   }
+}
+
+// Serve the HTTP API until Ctrl+C, which cancels the jobs in progress
+async function runServeCommand(config, options) {
+  const settings = resolveServerOptions(options, config);
+  const missing = getMissingCredentials(config, []);
+  if (missing.length > 0) {
+    throw new UsageError(formatMissingCredentials(config, missing));
+  }
+
+  const queue = new JobQueue(config, settings);
+  queue.on("job", (job) => {
+    const details = job.error ? `: ${job.error}` : "";
+    log(`Job ${job.id} ${job.status} (${job.job.subject})${details}`);
+  });
+  const server = createServer(queue);
+  await new Promise((resolve, reject) => {
+    server.once("error", (error) => reject(new UsageError(error.message)));
+    server.listen(settings.port, settings.host, resolve);
+  });
+  log(
+    `Serving on http://${settings.host}:${server.address().port}, ${
+      settings.maxJobs
+    } jobs at a time`
+  );
+
+  await new Promise((resolve) => {
+    process.once("SIGINT", resolve);
+    process.once("SIGTERM", resolve);
+  });
+  log("\nStopping, cancelling the jobs in progress...");
+  server.close();
+  server.closeAllConnections();
+  await queue.close();
+}
+
+function formatPaths(paths) {
+  return Object.values(paths)
+    .map((file) => `  - ${file}`)
+    .join("\n");
+}
+
+// Prompt for keys, model and research parameters
+async function promptForJob(config) {
+  await promptForApifyToken(config);
+
+  // Create array of all models with their info
+  const modelChoices = models.list().map((model) => ({
+    provider: model.provider,
+    providerName: providers[model.provider].name,
+    model: model.id,
+    pricing: model,
+  }));
 
   // Format model choices for display
   const modelOptions = modelChoices.map((choice) => ({
@@ -83,49 +466,19 @@ async function main() {
   config.selected_model = selectedModel;
   await saveConfig(config);
 
-  // Get provider API key if needed
-  const provider = Object.entries(supportedModels).find(([_, info]) =>
-    Object.keys(info.models).includes(config.selected_model)
-  )[0];
-
-  const providerKey = `${provider}_api_key`;
-  const providerInfo = supportedModels[provider];
-  while (!config[providerKey]) {
-    config[providerKey] = await password({
-      message: `Enter your ${providerInfo.name} API key (${providerInfo.link}):`,
-      mask: "*",
-      validate: (value) => {
-        if (!value) {
-          return `${providerInfo.name} API key is required to continue.`;
-        }
-        return true;
-      },
-    });
-    await saveConfig(config);
-  }
+  await promptForProviderKey(config, config.selected_model);
 
   // Get research subject (mandatory)
-  let subject = await input({
+  const subject = await input({
     message: "\nEnter research subject:",
-    validate: (value) => {
-      if (!value.trim()) {
-        return "Research subject is required to continue.";
-      }
-      return true;
-    },
+    validate: validators.subject,
   });
 
   // Get research parameters
   const newBreadth = await input({
     message: `Number of search queries (1-20, default ${config.breadth || 5}):`,
     default: String(config.breadth || 5),
-    validate: (value) => {
-      const num = parseInt(value);
-      if (isNaN(num) || num < 1 || num > 20) {
-        return "Please enter a number between 1 and 20";
-      }
-      return true;
-    },
+    validate: validators.breadth,
   });
   config.breadth = parseInt(newBreadth);
   await saveConfig(config);
@@ -135,13 +488,7 @@ async function main() {
       config.depth || 10
     }):`,
     default: String(config.depth || 10),
-    validate: (value) => {
-      const num = parseInt(value);
-      if (isNaN(num) || num < 1 || num > 100) {
-        return "Please enter a number between 1 and 100";
-      }
-      return true;
-    },
+    validate: validators.depth,
   });
   config.depth = parseInt(newDepth);
   await saveConfig(config);
@@ -149,181 +496,244 @@ async function main() {
   const newLocale = await input({
     message: `Research locale (default ${config.locale || "en-US"}):`,
     default: config.locale || "en-US",
-    validate: (value) => {
-      if (!/^[a-z]{2}-[A-Z]{2}$/.test(value)) {
-        return "Please enter a valid locale (e.g. en-US)";
-      }
-      return true;
-    },
+    validate: validators.locale,
   });
   config.locale = newLocale;
   await saveConfig(config);
 
-  // Initialize clients
-  const apifyClient = new ApifyClient({ token: config.apify_api_token });
-  const research = new Research(config, apifyClient, stats, showStats);
-
-  // Handle Ctrl+C to cancel last Apify run
-  process.on("SIGINT", async () => {
-    if (research.lastRunId) {
-      console.log("\nCancelling current Apify run...");
-      try {
-        await apifyClient.run(research.lastRunId).abort({ gracefully: false });
-        console.log(`Successfully cancelled Apify run ${research.lastRunId}`);
-      } catch (error) {
-        console.error(
-          `Failed to cancel Apify run ${research.lastRunId}:`,
-          error.message
-        );
-      }
-    } else {
-      console.log("\nNo active Apify run to cancel");
-    }
-
-    process.exit(0);
+  const newRounds = await input({
+    message: `Number of research rounds (1-5, default ${config.rounds || 1}):`,
+    default: String(config.rounds || 1),
+    validate: validators.rounds,
   });
+  config.rounds = parseInt(newRounds);
+  await saveConfig(config);
 
-  try {
-    // Generate and ask follow-up questions
-    spinner.start();
-    spinner.text = "Generating follow-up questions";
-    const questions = await research.generateQuestions(subject);
-    spinner.stop();
-
-    console.log(`\nGenerated ${questions.length} questions`);
-    const answers = await research.askQuestions(questions);
-    showStats();
-
-    // Generate and execute search queries
-    spinner.start();
-    spinner.text = "Generating search queries";
-    const queries = await research.generateSearchQueries(subject, answers);
-    spinner.stop();
+  const newMaxCost = await input({
+    message: "Maximum total cost (USD, optional):",
+    default: config.max_cost_usd ? String(config.max_cost_usd) : "",
+    validate: validators.budget,
+  });
+  config.max_cost_usd = parseFloat(newMaxCost) || null;
+  await saveConfig(config);
 
-    console.log(`Generated ${queries.length} search queries`);
-    queries.forEach((q) => {
-      process.stdout.write(`\x1b[2K\r\x1b[32m✓\x1b[0m \x1b[1m${q}\x1b[0m\n`);
+  if (config.rounds > 1) {
+    const newBudget = await input({
+      message: "Stop starting new rounds past this total cost (USD, optional):",
+      default: config.budget ? String(config.budget) : "",
+      validate: validators.budget,
     });
+    config.budget = parseFloat(newBudget) || null;
+    await saveConfig(config);
+  }
 
-    showStats();
-
-    spinner.start();
-    spinner.text = `Searching ${queries.length} queries for unique URLs`;
-    const urls = await research.searchQueries(queries);
-    spinner.stop();
+  // Local files, folders and must-read URLs besides the search results
+  const splitSources = (value) =>
+    value
+      .split(",")
+      .map((source) => source.trim())
+      .filter(Boolean);
+  const newSources = await input({
+    message:
+      "Local files, folders or URLs to include (comma separated, optional):",
+    default: "",
+    validate: async (value) => {
+      try {
+        await resolveSources(splitSources(value));
+        return true;
+      } catch (error) {
+        return error.message;
+      }
+    },
+  });
+  const sources = await resolveSources(splitSources(newSources));
+
+  return {
+    subject,
+    model: config.selected_model,
+    stageModels: resolveStageModels({}, config),
+    fallbackModel: config.fallback_model || null,
+    retries: resolveRetries(config.retries),
+    partialResults: Boolean(config.partial_results),
+    breadth: config.breadth,
+    depth: config.depth,
+    locale: config.locale,
+    rounds: config.rounds,
+    concurrency: config.concurrency || 1,
+    budget: config.rounds > 1 ? config.budget : null,
+    overflow: config.overflow || "condense",
+    retrieval: config.retrieval || "bm25",
+    verify: config.verify || "off",
+    search: config.search || { provider: "google" },
+    quality: resolveQuality(config.quality),
+    llmCache: Boolean(config.llm_cache),
+    ...resolveLimits({}, config),
+    sources,
+    answers: [],
+    skipFollowups: false,
+  };
+}
 
-    // Display URLs
-    console.log(`Found ${urls.length} URLs`);
-    urls.forEach((u) => {
-      process.stdout.write(`\x1b[2K\r\x1b[32m✓\x1b[0m \x1b[1m${u}\x1b[0m\n`);
+// Get Apify token
+async function promptForApifyToken(config) {
+  while (!config.apify_api_token) {
+    config.apify_api_token = await password({
+      message: "Enter your Apify API token (https://www.apify.com?fpr=prsmf):",
+      mask: "*",
     });
+    await saveConfig(config);
+  }
+}
 
-    showStats();
-
-    // Crawl URLs and gather content
-    spinner.start();
-    spinner.text = `Fetching ${urls.length} URLs`;
-    const contents = await research.crawlUrls(urls);
-    spinner.stop();
-
-    console.log(`Fetched ${contents.length} URLs`);
-
-    showStats();
-
-    // Generate chapters
-    spinner.start();
-    spinner.text = "Generating list of chapters";
-    const chapters = await research.generateChapters(
-      subject,
-      answers,
-      contents
-    );
-    spinner.stop();
+// Get provider API key if needed
+async function promptForProviderKey(config, model) {
+  const provider = getProviderKey(model);
+  // Self-hosted models take an optional key from their own config section
+  if (provider === "compatible") {
+    return;
+  }
 
-    // Display chapters
-    console.log("Generated list of chapters");
-    chapters.forEach((c) => {
-      process.stdout.write(
-        `\x1b[2K\r\x1b[32m✓\x1b[0m ${c.number}. ${c.title}\n`
-      );
+  const providerKey = `${provider}_api_key`;
+  const providerInfo = providers[provider];
+  while (!config[providerKey]) {
+    config[providerKey] = await password({
+      message: `Enter your ${providerInfo.name} API key (${providerInfo.link}):`,
+      mask: "*",
+      validate: (value) => {
+        if (!value) {
+          return `${providerInfo.name} API key is required to continue.`;
+        }
+        return true;
+      },
     });
+    await saveConfig(config);
+  }
+}
 
-    showStats();
-
-    // Generate chapters content
-    const chapterContents = [];
-    let previousText = "";
-    for (const chapter of chapters) {
-      spinner.start();
-      spinner.text = `Generating chapter ${chapter.number} of ${chapters.length}`;
-      const content = await research.generateChapterContent(
-        subject,
-        chapter,
-        chapters,
-        contents,
-        previousText
-      );
-      previousText += content.text;
-      chapterContents.push({
-        number: chapter.number,
-        title: chapter.title,
-        content: content.text,
-        summary: content.summary,
+// List, replace, remove, encrypt or decrypt the saved keys
+async function runConfigCommand(config, { configAction, configKey }) {
+  await unlockKeys(config, { prompt: true });
+  const key = configKey && resolveSecretKey(configKey);
+  const variable = SECRET_KEYS[key];
+
+  switch (configAction) {
+    case "list": {
+      const { file, encrypted, sources } = describeConfig(config);
+      console.log(`Config file: ${file}${encrypted ? " (encrypted)" : ""}`);
+      for (const [name, source] of Object.entries(sources)) {
+        const value = source
+          ? `${maskSecret(config[name])} (${source})`
+          : "not set";
+        console.log(`  ${name.padEnd(18)} ${value}`);
+      }
+      break;
+    }
+    case "set":
+      config[key] = await password({
+        message: `Enter the new ${key}:`,
+        mask: "*",
+        validate: (value) => Boolean(value) || "A key is required.",
       });
-      spinner.stop();
-
-      process.stdout.write(
-        `\x1b[2K\r\x1b[32m✓\x1b[0m \x1b[1m${chapter.number}. ${chapter.title}\x1b[0m\n${content.summary}\n`
+      await saveConfig(config);
+      console.log(`Saved ${key}`);
+      if (process.env[variable]) {
+        console.log(`${variable} is set too and takes precedence`);
+      }
+      break;
+    case "delete":
+      delete config[key];
+      await saveConfig(config);
+      console.log(`Deleted ${key} from the config file`);
+      if (process.env[variable]) {
+        console.log(`${variable} still sets it in the environment`);
+      }
+      break;
+    case "encrypt": {
+      const passphrase = await password({
+        message: "New passphrase for the API keys:",
+        mask: "*",
+        validate: (value) => Boolean(value) || "A passphrase is required.",
+      });
+      await password({
+        message: "Repeat the passphrase:",
+        mask: "*",
+        validate: (value) =>
+          value === passphrase || "The passphrases don't match.",
+      });
+      const { file } = await saveConfig(config, { passphrase });
+      console.log(
+        `Keys in ${file} are encrypted. Enter the passphrase when asked, or set ${PASSPHRASE_VARIABLE}`
       );
-
-      showStats();
+      break;
+    }
+    case "decrypt": {
+      if (!describeConfig(config).encrypted) {
+        console.log("The keys aren't encrypted");
+        break;
+      }
+      const { file } = await saveConfig(config, { passphrase: null });
+      console.log(`Keys in ${file} are stored in plaintext again`);
+      break;
     }
-
-    // Generate final summary
-    spinner.start();
-    spinner.text = "Generating final summary";
-    const summary = await research.generateSummary(subject, chapterContents);
-    spinner.stop();
-
-    showStats();
-
-    // Generate documents
-    spinner.start();
-    spinner.text = "Generating final documents";
-    const { paths } = await research.generateDocument(
-      subject,
-      summary.abstract,
-      chapterContents,
-      summary.conclusions
-    );
-    spinner.stop();
-
-    spinner.succeed(
-      `Research complete! Files saved:\n` +
-        `  - ${paths.markdown}\n` +
-        `  - ${paths.html}`
-    );
-
-    showStats();
-  } catch (error) {
-    spinner.fail("Research failed");
-    console.error(error);
-    showStats();
   }
 }
 
-// Load or create config
-async function loadConfig() {
-  try {
-    return await fs.readJSON(".config.json");
-  } catch {
-    return {};
+// Decrypt the config file's keys with the passphrase from
+// DEEP_RESEARCH_PASSPHRASE or, when allowed, a prompt. Without either the
+// keys stay locked and only those from the environment are used
+async function unlockKeys(config, { prompt }) {
+  if (!describeConfig(config).locked) {
+    return;
+  }
+  if (process.env[PASSPHRASE_VARIABLE]) {
+    await unlockConfig(config, process.env[PASSPHRASE_VARIABLE]);
+  } else if (prompt) {
+    await password({
+      message: "Enter the passphrase for your API keys:",
+      mask: "*",
+      validate: async (value) => {
+        try {
+          await unlockConfig(config, value);
+          return true;
+        } catch (error) {
+          return error.message;
+        }
+      },
+    });
   }
 }
 
-// Save config
-async function saveConfig(config) {
-  await fs.writeJSON(".config.json", config, { spaces: 2 });
+function formatMissingCredentials(config, missing) {
+  const variables = missing.map((key) => SECRET_KEYS[key]).join(", ");
+  const locked = describeConfig(config).locked
+    ? `, or set ${PASSPHRASE_VARIABLE} to unlock the encrypted config file`
+    : "";
+  return `Missing credentials: ${missing.join(
+    ", "
+  )}. Set ${variables} or run \`npm start -- config set <key>\`${locked}`;
 }
 
-main().catch(console.error);
+// Save config, moving a .config.json found in the working directory to the
+// user's config directory
+async function saveConfig(config, options) {
+  const saved = await writeConfig(config, options);
+  if (saved.moved) {
+    log(`Settings moved from ${LEGACY_CONFIG_PATH} to ${saved.file}`);
+  }
+  return saved;
+}
+
+main()
+  .then((exitCode) => process.exit(exitCode))
+  .catch((error) => {
+    if (error instanceof UsageError) {
+      console.error(`${error.message}\n\n${USAGE}`);
+      process.exit(error.exitCode);
+    }
+    if (error instanceof ConfigError) {
+      console.error(error.message);
+      process.exit(EXIT_CODES.failure);
+    }
+    console.error(error);
+    process.exit(EXIT_CODES.failure);
+  });
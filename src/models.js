@@ -1,67 +1,203 @@
-export default {
+import fs from "fs-extra";
+import { z } from "zod";
+
+export const providers = {
   openai: {
     name: "OpenAI",
     link: "https://platform.openai.com/",
-    models: {
-      "o3-mini": {
-        input: 1.1,
-        output: 4.4,
-        contextWindow: 200_000,
-      },
-    },
   },
   google: {
     name: "Google",
     link: "https://ai.google.dev/",
-    models: {
-      "gemini-2.0-flash": {
-        input: 0.075,
-        output: 0.3,
-        contextWindow: 1_048_576,
-      },
-      "gemini-1.5-pro": {
-        input: 1.25,
-        output: 5.0,
-        contextWindow: 2_097_152,
-      },
-    },
   },
   anthropic: {
     name: "Anthropic",
     link: "https://www.anthropic.com/api",
-    models: {
-      "claude-3-5-haiku-20241022": {
-        input: 0.8,
-        output: 4.0,
-        contextWindow: 200_000,
-      },
-      "claude-3-5-sonnet-20241022": {
-        input: 3.0,
-        output: 15.0,
-        contextWindow: 200_000,
-      },
-    },
   },
   deepseek: {
     name: "Deepseek",
     link: "https://platform.deepseek.com/api_keys",
-    models: {
-      "deepseek-chat": {
-        input: 0.014,
-        output: 0.28,
-        contextWindow: 64_000,
-      },
-    },
   },
   xai: {
     name: "xAI",
     link: "https://x.ai/api",
-    models: {
-      "grok-2-1212": {
-        input: 2.0,
-        output: 10.0,
-        contextWindow: 131_072,
-      },
-    },
+  },
+  compatible: {
+    name: "OpenAI-compatible",
+    link: "https://github.com/ollama/ollama/blob/main/docs/openai.md",
+  },
+};
+
+// LLM steps of a run, each of which can use its own model
+export const STAGES = [
+  "questions",
+  "queries",
+  "gaps",
+  "outline",
+  "chapter",
+  "condense",
+  "verify",
+  "summary",
+];
+
+// Prices are in dollars per million tokens
+export const ModelSchema = z.object({
+  provider: z.enum(Object.keys(providers)),
+  input: z.number().nonnegative(),
+  output: z.number().nonnegative(),
+  contextWindow: z.number().int().positive(),
+  maxOutputTokens: z.number().int().positive().optional(),
+  // native (provider default), json (JSON mode) or text (parsed from text)
+  structuredOutput: z.enum(["native", "json", "text"]).optional(),
+});
+
+// A null entry removes a built-in model
+export const ModelsFileSchema = z.object({
+  models: z.record(z.string(), ModelSchema.partial().nullable()),
+});
+
+const builtInModels = {
+  "o3-mini": {
+    provider: "openai",
+    input: 1.1,
+    output: 4.4,
+    contextWindow: 200_000,
+    maxOutputTokens: 100_000,
+  },
+  "gemini-2.0-flash": {
+    provider: "google",
+    input: 0.075,
+    output: 0.3,
+    contextWindow: 1_048_576,
+    maxOutputTokens: 8_192,
+  },
+  "gemini-1.5-pro": {
+    provider: "google",
+    input: 1.25,
+    output: 5.0,
+    contextWindow: 2_097_152,
+    maxOutputTokens: 8_192,
+  },
+  "claude-3-5-haiku-20241022": {
+    provider: "anthropic",
+    input: 0.8,
+    output: 4.0,
+    contextWindow: 200_000,
+    maxOutputTokens: 8_192,
+  },
+  "claude-3-5-sonnet-20241022": {
+    provider: "anthropic",
+    input: 3.0,
+    output: 15.0,
+    contextWindow: 200_000,
+    maxOutputTokens: 8_192,
+  },
+  "deepseek-chat": {
+    provider: "deepseek",
+    input: 0.014,
+    output: 0.28,
+    contextWindow: 64_000,
+    maxOutputTokens: 8_192,
+  },
+  "grok-2-1212": {
+    provider: "xai",
+    input: 2.0,
+    output: 10.0,
+    contextWindow: 131_072,
   },
 };
+
+export class ModelRegistry {
+  constructor(models = builtInModels) {
+    this.models = new Map();
+    for (const [id, model] of Object.entries(models)) {
+      this.set(id, model, "built-in");
+    }
+  }
+
+  set(id, model, source = "user") {
+    const parsed = ModelSchema.safeParse(model);
+    if (!parsed.success) {
+      throw new Error(
+        `Invalid model definition for ${id}: ${parsed.error.issues
+          .map((issue) => `${issue.path.join(".")} ${issue.message}`)
+          .join(", ")}`
+      );
+    }
+
+    const definition = parsed.data;
+    this.models.set(id, {
+      id,
+      ...definition,
+      // Self-hosted models rarely support JSON-schema outputs
+      structuredOutput:
+        definition.structuredOutput ||
+        (definition.provider === "compatible" ? "json" : "native"),
+      source,
+    });
+  }
+
+  // Merge overrides into the current models; null removes a model
+  merge(overrides, source = "user") {
+    for (const [id, override] of Object.entries(overrides)) {
+      if (override === null) {
+        this.models.delete(id);
+      } else {
+        const { id: _, source: __, ...current } = this.models.get(id) || {};
+        this.set(id, { ...current, ...override }, source);
+      }
+    }
+  }
+
+  get(id) {
+    return this.models.get(id);
+  }
+
+  has(id) {
+    return this.models.has(id);
+  }
+
+  list() {
+    return [...this.models.values()];
+  }
+}
+
+const models = new ModelRegistry();
+
+// Load the user's model overrides into the registry
+export async function loadModels(config) {
+  const file = config.models_file || "models.json";
+  if (!(await fs.pathExists(file))) {
+    return models;
+  }
+
+  const parsed = ModelsFileSchema.safeParse(await fs.readJSON(file));
+  if (!parsed.success) {
+    throw new Error(
+      `Invalid ${file}: ${parsed.error.issues
+        .map((issue) => `${issue.path.join(".")} ${issue.message}`)
+        .join(", ")}`
+    );
+  }
+  models.merge(parsed.data.models, file);
+  return models;
+}
+
+// One line per model, for the models command
+export function formatModels(registry = models) {
+  return registry
+    .list()
+    .map(
+      (m) =>
+        `[${providers[m.provider].name}] ${m.id}: $${m.input}/M input & $${
+          m.output
+        }/M output tokens, ${m.contextWindow.toLocaleString()} context${
+          m.maxOutputTokens
+            ? `, ${m.maxOutputTokens.toLocaleString()} max output`
+            : ""
+        }, ${m.structuredOutput} structured output (${m.source})`
+    )
+    .join("\n");
+}
+
+export default models;
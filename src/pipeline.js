@@ -0,0 +1,691 @@
+// The research pipeline as a library: runs a job from follow-up questions to
+// report files, reporting progress as events instead of writing to a terminal
+
+import { EventEmitter } from "events";
+import { ApifyClient } from "apify-client";
+import { Research } from "./research.js";
+import models from "./models.js";
+import { RunStore } from "./checkpoint.js";
+import { isUrl } from "./sources.js";
+import { Budget, BudgetExceededError } from "./budget.js";
+import {
+  UsageError,
+  resolveJob,
+  hasPairedAnswers,
+  pairAnswers,
+} from "./cli.js";
+
+export { RunStore } from "./checkpoint.js";
+export { BudgetExceededError } from "./budget.js";
+export { UsageError, resolveJob } from "./cli.js";
+export { default as models, loadModels } from "./models.js";
+export { ConfigError, loadConfig, unlockConfig } from "./config.js";
+
+export class MissingCredentialsError extends Error {
+  constructor(missing) {
+    super(`Missing credentials: ${missing.join(", ")}`);
+    this.name = "MissingCredentialsError";
+    this.missing = missing;
+  }
+}
+
+// Token and cost totals of one run
+export function createStats() {
+  return {
+    startTime: Date.now(),
+    inputTokens: 0,
+    outputTokens: 0,
+    llmCost: 0,
+    apifyCost: 0,
+    // Tokens and cost of responses served from the LLM cache
+    cachedTokens: 0,
+    savedCost: 0,
+    // Tokens and cost per model, when stages use different models
+    models: {},
+  };
+}
+
+// Every model a job uses, its main model first
+export function getJobModels(job) {
+  return [
+    ...new Set([
+      job.model,
+      ...Object.values(job.stageModels || {}),
+      ...(job.fallbackModel ? [job.fallbackModel] : []),
+    ]),
+  ];
+}
+
+// Find the provider that serves a model
+export function getProviderKey(model) {
+  if (!models.has(model)) {
+    throw new UsageError(`Unknown model: ${model}`);
+  }
+  return models.get(model).provider;
+}
+
+// Fake search runs offline, crawling included, so it needs no Apify token
+export function needsApify(job) {
+  return job.search?.provider !== "fake";
+}
+
+// List the config keys the job's models need that aren't set, and the Apify
+// token unless apify is false
+export function getMissingCredentials(
+  config,
+  jobModels,
+  { apify = true } = {}
+) {
+  const keys = new Set(
+    jobModels
+      .map(getProviderKey)
+      .filter((provider) => provider !== "compatible")
+      .map((provider) => `${provider}_api_key`)
+  );
+  return [
+    apify && !config.apify_api_token && "apify_api_token",
+    ...[...keys].filter((key) => !config[key]),
+  ].filter(Boolean);
+}
+
+// One research run. Options:
+//   config: API keys and defaults, as returned by loadConfig
+//   job: the job to run, as in a --job file; validated like one
+//   store: where stages are checkpointed, a RunStore or any object with
+//     runId, has(stage), load(stage) and save(stage, data). A store that
+//     already holds a job runs (or resumes) that job
+//   resume: id of a run in runsDir to resume, instead of job or store
+//   runsDir: where new runs are stored, "runs" by default
+//   outputDir: where reports are written, "reports" by default
+//   askQuestions: async (questions, { signal }) => answers, strings or
+//     { question, answer } pairs; without it the job's answers are used
+//   signal: an AbortSignal that cancels the run, Apify runs included
+//
+// Every event is emitted under its type and as "event", with a type field:
+//   start { runId, subject, resumed }
+//   stage:start { stage, message }, stage:end { stage }
+//   info { message }, warning { message }
+//   query { query, round }, gap { gap, round }
+//   url:found { url, round, excluded }, url:fetched { url, round, title }
+//   source:skipped { file, reason }, source:excluded { url, title, reasons }
+//   outline { chapters }
+//   chapter { number, title, summary, sourceUsage, citations }
+//   cost { stats }
+export class ResearchRun extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.options = options;
+    this.config = options.config || {};
+    this.signal = options.signal;
+    this.stats = createStats();
+    this.store = options.store || null;
+    this.job = null;
+  }
+
+  emitEvent(type, data = {}) {
+    const event = { type, ...data };
+    this.emit(type, event);
+    this.emit("event", event);
+  }
+
+  reportCost() {
+    this.emitEvent("cost", { stats: { ...this.stats } });
+  }
+
+  // Open the run's store and job, creating them for a new job
+  async open() {
+    const { job, resume, runsDir = "runs", askQuestions } = this.options;
+    const resolve = () =>
+      resolveJob(job || {}, {}, this.config, {
+        requireAnswers: !askQuestions,
+      });
+    if (!this.store && resume) {
+      ({ store: this.store, job: this.job } = await RunStore.open(
+        resume,
+        runsDir
+      ));
+    } else if (!this.store) {
+      this.job = await resolve();
+      this.store = await RunStore.create(this.job, runsDir);
+    } else if (await this.store.has("job")) {
+      this.job = await this.store.load("job");
+    } else {
+      this.job = await resolve();
+      await this.store.save("job", this.job);
+    }
+
+    // Stats are saved with every stage, so they tell a run already started
+    const resumed = await this.store.has("stats");
+    if (resumed) {
+      const saved = await this.store.load("stats");
+      Object.assign(this.stats, saved, { startTime: this.stats.startTime });
+    }
+    this.emitEvent("start", {
+      runId: this.store.runId,
+      subject: this.job.subject,
+      resumed,
+    });
+  }
+
+  // Run the job. Resolves with { status, runId, subject, paths, stats }, the
+  // status being "success", "partial" when the budget ran out after some
+  // chapters or "budget_exceeded" before any. Failures reject, with the
+  // run's id on the error when it got that far
+  async start() {
+    try {
+      await this.open();
+      return await this.execute();
+    } catch (error) {
+      if (this.store && error instanceof Error) {
+        error.runId ??= this.store.runId;
+      }
+      throw error;
+    }
+  }
+
+  async execute() {
+    const { job } = this;
+    const missing = getMissingCredentials(this.config, getJobModels(job), {
+      apify: needsApify(job),
+    });
+    if (missing.length > 0) {
+      throw new MissingCredentialsError(missing);
+    }
+
+    // Run with the job's parameters over the given defaults
+    const config = {
+      ...this.config,
+      selected_model: job.model,
+      stage_models: job.stageModels || {},
+      fallback_model: job.fallbackModel || null,
+      retries: job.retries,
+      partial_results: Boolean(job.partialResults),
+      breadth: job.breadth,
+      depth: job.depth,
+      locale: job.locale,
+      rounds: job.rounds || 1,
+      concurrency: job.concurrency || 1,
+      budget: job.budget || null,
+      overflow: job.overflow || "condense",
+      retrieval: job.retrieval || "bm25",
+      retrieval_tokens: job.retrievalTokens || null,
+      verify: job.verify || "off",
+      search: job.search || { provider: "google" },
+      quality: job.quality,
+      llm_cache: Boolean(job.llmCache),
+      output_dir: this.options.outputDir || this.config.output_dir,
+    };
+
+    const apifyClient = new ApifyClient({ token: config.apify_api_token });
+    const budget = new Budget(
+      this.stats,
+      {
+        maxCostUsd: job.maxCostUsd,
+        maxTokens: job.maxTokens,
+        roundsCostUsd: job.budget,
+        policy: job.budgetPolicy,
+      },
+      (message) =>
+        this.emitEvent("warning", { message: `${message}, continuing` })
+    );
+    const research = new Research(
+      config,
+      apifyClient,
+      this.stats,
+      budget,
+      (message) => this.emitEvent("warning", { message }),
+      this.signal
+    );
+
+    // Finished chapters, kept for a partial report if the budget runs out
+    const chapterContents = [];
+    // Answers and queries of the run, for the JSON report
+    const reportDetails = { answers: [], queries: [] };
+
+    try {
+      return await this.runStages(research, chapterContents, reportDetails);
+    } catch (error) {
+      if (error instanceof BudgetExceededError) {
+        this.emitEvent("warning", { message: error.message });
+        return await this.finishWithinBudget(
+          research,
+          chapterContents,
+          reportDetails,
+          error.message
+        );
+      }
+      throw error;
+    }
+  }
+
+  async runStages(research, chapterContents, reportDetails) {
+    const { job } = this;
+    const { subject } = job;
+
+    // Generate and ask follow-up questions
+    let answers = [];
+    if (hasPairedAnswers(job.answers || [])) {
+      answers = job.answers.map((a) => ({
+        question: String(a.question),
+        answer: String(a.answer ?? ""),
+      }));
+    } else if (!job.skipFollowups) {
+      const questions = await this.runStage(
+        "questions",
+        "Generating follow-up questions",
+        () => research.generateQuestions(subject)
+      );
+
+      this.emitEvent("info", {
+        message: `Generated ${questions.length} questions`,
+      });
+      answers = await this.runStage("answers", null, async () => {
+        const { askQuestions } = this.options;
+        if (!askQuestions) {
+          return pairAnswers(questions, job.answers || []);
+        }
+        const replies = await askQuestions(questions, { signal: this.signal });
+        return hasPairedAnswers(replies)
+          ? replies
+          : pairAnswers(questions, replies);
+      });
+      this.reportCost();
+    }
+
+    reportDetails.answers = answers;
+
+    // Generate and execute search queries
+    const queries = await this.runStage(
+      "queries",
+      "Generating search queries",
+      () => research.generateSearchQueries(subject, answers)
+    );
+
+    this.emitEvent("info", {
+      message: `Generated ${queries.length} search queries`,
+    });
+    queries.forEach((query) => this.emitEvent("query", { query, round: 1 }));
+
+    this.reportCost();
+
+    // Read local files and folders before searching
+    const sourcesToAdd = job.sources || [];
+    const localPaths = sourcesToAdd.filter((source) => !isUrl(source));
+    const pinnedUrls = new Set(sourcesToAdd.filter(isUrl));
+    let contents = [];
+    if (localPaths.length > 0) {
+      const local = await this.runStage(
+        "local_sources",
+        `Reading ${localPaths.length} local sources`,
+        async () => {
+          const skipped = await research.readLocalSources(localPaths);
+          return { ...research.exportSources(), skipped };
+        }
+      );
+      contents = research.importSources(local);
+
+      this.emitEvent("info", {
+        message: `Read ${contents.length} local files`,
+      });
+      local.skipped.forEach(({ file, reason }) =>
+        this.emitEvent("source:skipped", { file, reason })
+      );
+    }
+
+    // Search, crawl and look for knowledge gaps, one round at a time
+    const rounds = job.rounds || 1;
+    const previousQueries = [...queries];
+    reportDetails.queries = previousQueries;
+    const learnings = [];
+    let roundQueries = queries;
+    for (let round = 1; round <= rounds; round++) {
+      // Round 1 keeps the original stage names
+      const prefix = round === 1 ? "" : `round_${round}_`;
+      if (round > 1) {
+        this.emitEvent("info", {
+          message: `Research round ${round} of ${rounds}`,
+        });
+      }
+
+      const knownUrls = new Set(contents.map((c) => c.url));
+      const search = await this.runStage(
+        `${prefix}urls`,
+        `Searching ${roundQueries.length} queries for unique URLs`,
+        async () => {
+          // Must-read URLs come first, in the first round
+          const userUrls = round === 1 ? [...pinnedUrls] : [];
+          const found = await research.searchQueries(roundQueries);
+          return {
+            urls: [...new Set([...userUrls, ...found])].filter(
+              (url) => !knownUrls.has(url)
+            ),
+            // Titles, snippets and dates for the crawl and the reports
+            searchResults: [...research.searchResults.values()],
+          };
+        }
+      );
+      // Older checkpoints only hold the URLs
+      const urls = Array.isArray(search) ? search : search.urls;
+      for (const result of search.searchResults || []) {
+        if (!research.searchResults.has(result.url)) {
+          research.searchResults.set(result.url, result);
+        }
+      }
+
+      // Leave out denied domains before crawling
+      const allowedUrls = research.filterUrls(urls, pinnedUrls);
+
+      this.emitEvent("info", { message: `Found ${urls.length} URLs` });
+      urls.forEach((url) =>
+        this.emitEvent("url:found", {
+          url,
+          round,
+          excluded: allowedUrls.includes(url)
+            ? null
+            : research.excludedSources.get(url),
+        })
+      );
+
+      this.reportCost();
+
+      // Crawl URLs and gather content
+      const sources = await this.runStage(
+        `${prefix}sources`,
+        `Fetching ${allowedUrls.length} URLs`,
+        async () => {
+          await research.crawlUrls(allowedUrls, round);
+          return research.exportSources();
+        }
+      );
+      const fetched = sources.contents.slice(contents.length);
+      contents = research.importSources(sources);
+
+      this.emitEvent("info", { message: `Fetched ${fetched.length} URLs` });
+      fetched.forEach((content) =>
+        this.emitEvent("url:fetched", {
+          url: content.url,
+          round,
+          title: content.metadata?.title || content.url,
+        })
+      );
+
+      this.reportCost();
+
+      if (round === rounds) {
+        break;
+      }
+      if (!research.budget.allowsRound()) {
+        this.emitEvent("info", {
+          message: `Round budget of $${job.budget} reached, stopping after round ${round}`,
+        });
+        break;
+      }
+
+      // Find open questions and thin coverage for the next round
+      const analysis = await this.runStage(
+        `round_${round}_gaps`,
+        "Looking for knowledge gaps",
+        () =>
+          research.analyzeGaps(
+            subject,
+            answers,
+            contents,
+            learnings,
+            previousQueries
+          )
+      );
+      learnings.push(...analysis.learnings);
+
+      this.emitEvent("info", {
+        message: `Found ${analysis.gaps.length} knowledge gaps`,
+      });
+      analysis.gaps.forEach((gap) => this.emitEvent("gap", { gap, round }));
+      analysis.queries.forEach((query) =>
+        this.emitEvent("query", { query, round: round + 1 })
+      );
+
+      this.reportCost();
+
+      if (analysis.queries.length === 0) {
+        this.emitEvent("info", {
+          message: "No new search queries, research is complete",
+        });
+        break;
+      }
+      roundQueries = analysis.queries;
+      previousQueries.push(...roundQueries);
+    }
+
+    // Merge near-duplicates and leave out low-quality sources before writing
+    const quality = research.selectSources(contents, pinnedUrls);
+    contents = quality.kept;
+    const merged = [...quality.alternates.values()].flat().length;
+    if (merged > 0) {
+      this.emitEvent("info", {
+        message: `Merged ${merged} near-duplicate pages into ${quality.alternates.size} sources`,
+      });
+    }
+    if (quality.excluded.length > 0) {
+      this.emitEvent("info", {
+        message: `Excluded ${quality.excluded.length} low-quality sources`,
+      });
+      quality.excluded.forEach((source) =>
+        this.emitEvent("source:excluded", source)
+      );
+    }
+    if (contents.length === 0) {
+      this.emitEvent("warning", {
+        message: "No sources passed the quality checks, writing without them",
+      });
+    }
+
+    // Generate chapters
+    const chapters = await this.runStage(
+      "chapters",
+      "Generating list of chapters",
+      () => research.generateChapters(subject, answers, contents, learnings)
+    );
+
+    this.emitEvent("outline", { chapters });
+
+    this.reportCost();
+
+    // Generate chapters content, up to job.concurrency at a time. A chapter
+    // starts once every chapter `concurrency` places before it is done, and
+    // is written with the summaries of those chapters. When one fails, the
+    // chapters in progress are aborted so they stop spending
+    const concurrency = job.concurrency || 1;
+    const chapterController = new AbortController();
+    research.signal = AbortSignal.any(
+      [this.signal, chapterController.signal].filter(Boolean)
+    );
+    let failure;
+    const generating = [];
+    for (const [index, chapter] of chapters.entries()) {
+      const earlier = generating.slice(0, Math.max(0, index - concurrency + 1));
+      generating.push(
+        Promise.all(earlier).then((previous) => {
+          research.signal.throwIfAborted();
+          return this.runStage(
+            `chapter_${index + 1}`,
+            `Generating chapter ${chapter.number} of ${chapters.length}`,
+            () =>
+              research.generateChapterContent(
+                subject,
+                chapter,
+                chapters,
+                contents,
+                previous.map((content, i) => ({
+                  number: chapters[i].number,
+                  title: chapters[i].title,
+                  summary: content.summary,
+                }))
+              )
+          );
+        })
+      );
+      // The first failure is the run's, the chapters it aborts fail after it
+      generating[index].catch((error) => {
+        failure ??= error;
+        chapterController.abort();
+      });
+    }
+
+    // Add chapters to the report in order, numbering their references
+    const sourceUsage = { used: 0, condensed: 0, excluded: 0 };
+    for (const [index, chapter] of chapters.entries()) {
+      let content;
+      try {
+        content = await generating[index];
+      } catch (error) {
+        // Wait for the aborted chapters before failing or writing a partial
+        // report
+        await Promise.allSettled(generating);
+        research.signal = this.signal;
+        throw failure ?? error;
+      }
+
+      let text;
+      if (content.paragraphs) {
+        text = research.numberReferences(content.paragraphs);
+      } else {
+        // Checkpoints from before paragraphs were saved keep their numbering
+        text = content.text;
+        research.usedReferences = [...content.usedReferences];
+      }
+      chapterContents.push({
+        number: chapter.number,
+        title: chapter.title,
+        content: text,
+        summary: content.summary,
+        citations: content.citations || null,
+        paragraphs: content.paragraphs,
+      });
+
+      this.emitEvent("chapter", {
+        number: chapter.number,
+        title: chapter.title,
+        summary: content.summary,
+        sourceUsage: content.sourceUsage || null,
+        citations: content.citations || null,
+      });
+      if (content.sourceUsage) {
+        for (const key of Object.keys(sourceUsage)) {
+          sourceUsage[key] += content.sourceUsage[key];
+        }
+      }
+
+      this.reportCost();
+    }
+    research.signal = this.signal;
+
+    this.emitEvent("info", {
+      message: `Across ${chapters.length} chapters: ${formatSourceUsage(
+        sourceUsage
+      )}`,
+    });
+
+    // Generate final summary
+    const summary = await this.runStage(
+      "summary",
+      "Generating final summary",
+      () => research.generateSummary(subject, chapterContents)
+    );
+
+    this.reportCost();
+
+    // Generate documents
+    this.signal?.throwIfAborted();
+    this.emitEvent("stage:start", {
+      stage: "documents",
+      message: "Generating final documents",
+    });
+    const { paths } = await research.generateDocument(
+      subject,
+      summary.abstract,
+      chapterContents,
+      summary.conclusions,
+      reportDetails
+    );
+    this.emitEvent("stage:end", { stage: "documents" });
+
+    return this.result("success", { paths });
+  }
+
+  // Write a partial report from the chapters finished before the budget ran
+  // out
+  async finishWithinBudget(research, chapterContents, reportDetails, message) {
+    const { subject } = this.job;
+    if (chapterContents.length === 0) {
+      this.emitEvent("info", {
+        message:
+          "No chapters were written before the budget limit, no report saved",
+      });
+      return this.result("budget_exceeded", { message });
+    }
+
+    // Summarize if the budget still allows it, otherwise reuse chapter summaries
+    const note = `This report is incomplete: research stopped at its budget limit after ${chapterContents.length} chapters.`;
+    let summary;
+    try {
+      summary = await research.generateSummary(subject, chapterContents);
+      summary.abstract = `${note} ${summary.abstract}`;
+    } catch (error) {
+      if (!(error instanceof BudgetExceededError)) throw error;
+      summary = {
+        abstract: note,
+        conclusions: chapterContents.map((c) => c.summary).join(" "),
+      };
+    }
+
+    const { paths } = await research.generateDocument(
+      subject,
+      summary.abstract,
+      chapterContents,
+      summary.conclusions,
+      reportDetails
+    );
+    return this.result("partial", { paths, message });
+  }
+
+  result(status, details) {
+    this.reportCost();
+    return {
+      status,
+      runId: this.store.runId,
+      subject: this.job.subject,
+      ...details,
+      stats: { ...this.stats },
+    };
+  }
+
+  // Run a stage unless its result was checkpointed, then save it with the
+  // stats
+  async runStage(stage, message, run) {
+    this.signal?.throwIfAborted();
+    if (await this.store.has(stage)) {
+      return this.store.load(stage);
+    }
+
+    this.emitEvent("stage:start", { stage, message });
+    const result = await run();
+    await this.store.save(stage, result);
+    await this.store.save("stats", this.stats);
+    this.emitEvent("stage:end", { stage });
+    return result;
+  }
+}
+
+export function formatSourceUsage({ used, condensed, excluded }) {
+  return `Sources: ${used} used, ${condensed} condensed, ${excluded} excluded`;
+}
+
+// Run a research job to completion; options are ResearchRun's, plus onEvent
+// to receive every progress event
+export function runResearch(options = {}) {
+  const run = new ResearchRun(options);
+  if (options.onEvent) {
+    run.on("event", options.onEvent);
+  }
+  return run.start();
+}
@@ -0,0 +1,249 @@
+// Source quality: domain allow and deny lists, and a score from the domain's
+// reputation, the content's length and how much of it is boilerplate, so
+// content farms, forums and paywalled stubs stay out of the chapters
+
+import { clusterContents } from "./dedupe.js";
+
+export const QUALITY_DEFAULTS = {
+  allow: [],
+  deny: [],
+  // Characters of text a source needs to be considered
+  minLength: 500,
+  minScore: 0.5,
+  // Extra or overriding domain reputations, 0 to 1
+  reputation: {},
+};
+
+// Reputation of well-known domains, from 0 (avoid) to 1 (authoritative).
+// Entries match the domain and its subdomains; ".gov" style entries match a
+// whole suffix. Unknown domains score 0.5
+export const DOMAIN_REPUTATION = {
+  ".gov": 0.9,
+  ".edu": 0.85,
+  ".int": 0.85,
+  ".mil": 0.8,
+  "nature.com": 0.9,
+  "science.org": 0.9,
+  "nejm.org": 0.9,
+  "thelancet.com": 0.9,
+  "springer.com": 0.85,
+  "sciencedirect.com": 0.85,
+  "wiley.com": 0.85,
+  "ieee.org": 0.85,
+  "acm.org": 0.85,
+  "reuters.com": 0.85,
+  "apnews.com": 0.85,
+  "arxiv.org": 0.8,
+  "wikipedia.org": 0.8,
+  "bbc.com": 0.8,
+  "bbc.co.uk": 0.8,
+  "github.com": 0.6,
+  "medium.com": 0.4,
+  "substack.com": 0.4,
+  "reddit.com": 0.3,
+  "stackexchange.com": 0.5,
+  "stackoverflow.com": 0.5,
+  "wikihow.com": 0.3,
+  "quora.com": 0.2,
+  "ehow.com": 0.2,
+  "scribd.com": 0.2,
+  "facebook.com": 0.2,
+  "twitter.com": 0.2,
+  "x.com": 0.2,
+  "answers.com": 0.1,
+  "pinterest.com": 0.1,
+  "instagram.com": 0.1,
+  "tiktok.com": 0.1,
+  "coursehero.com": 0.1,
+  "chegg.com": 0.1,
+};
+
+// Score weights, adding up to 1
+const WEIGHTS = { reputation: 0.5, length: 0.25, content: 0.25 };
+
+// Words for a full length score
+const FULL_LENGTH_WORDS = 800;
+
+const BOILERPLATE_PATTERN =
+  /cookie|subscribe|sign (in|up)|log ?in|newsletter|privacy policy|terms of (use|service)|all rights reserved|share (this|on)|advertisement/i;
+
+const PAYWALL_PATTERN =
+  /subscribe to (continue|read)|to continue reading|already a subscriber|subscribers only|for subscribers|create a free account to|paywall/i;
+
+export function hostnameOf(url) {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, "");
+  } catch {
+    return "";
+  }
+}
+
+function domainMatches(hostname, domain) {
+  const pattern = domain.toLowerCase().replace(/^www\./, "");
+  if (pattern.startsWith(".")) {
+    return hostname.endsWith(pattern);
+  }
+  return hostname === pattern || hostname.endsWith(`.${pattern}`);
+}
+
+// Why a URL's domain is excluded, or null if it may be used
+export function checkDomain(url, { allow = [], deny = [] } = {}) {
+  const hostname = hostnameOf(url);
+  const denied = deny.find((domain) => domainMatches(hostname, domain));
+  if (denied) {
+    return `denied domain (${denied})`;
+  }
+  if (
+    allow.length > 0 &&
+    !allow.some((domain) => domainMatches(hostname, domain))
+  ) {
+    return "not an allowed domain";
+  }
+  return null;
+}
+
+// Reputation of the most specific matching entry; allowed domains are trusted
+export function reputationOf(url, { allow = [], reputation = {} } = {}) {
+  const hostname = hostnameOf(url);
+  if (allow.some((domain) => domainMatches(hostname, domain))) {
+    return 1;
+  }
+
+  const entries = { ...DOMAIN_REPUTATION, ...reputation };
+  const match = Object.keys(entries)
+    .filter((domain) => domainMatches(hostname, domain))
+    .sort((a, b) => b.length - a.length)[0];
+  return match ? entries[match] : 0.5;
+}
+
+// Share of the text in navigation-like lines: short lines without sentence
+// punctuation, cookie and sign-up notices, and lines repeated on the page
+export function boilerplateRatio(text) {
+  const lines = text
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean);
+  const total = lines.reduce((sum, line) => sum + line.length, 0);
+  if (total === 0) return 1;
+
+  const counts = new Map();
+  for (const line of lines) {
+    counts.set(line, (counts.get(line) || 0) + 1);
+  }
+
+  const boilerplate = lines
+    .filter((line) => {
+      // Markdown headings are structure, not boilerplate
+      if (line.startsWith("#")) return false;
+      const words = line.split(/\s+/).length;
+      return (
+        counts.get(line) > 1 ||
+        (words < 4 && !/[.!?:]$/.test(line)) ||
+        (words < 20 && BOILERPLATE_PATTERN.test(line))
+      );
+    })
+    .reduce((sum, line) => sum + line.length, 0);
+  return boilerplate / total;
+}
+
+// Score a crawled content between 0 and 1, with the reasons to exclude it
+export function scoreSource(content, options = {}) {
+  const { minLength, minScore } = { ...QUALITY_DEFAULTS, ...options };
+  const text = content.text || "";
+  const words = text.split(/\s+/).filter(Boolean).length;
+
+  const reputation = reputationOf(content.url, options);
+  const length = Math.min(1, words / FULL_LENGTH_WORDS);
+  const boilerplate = boilerplateRatio(text);
+  const score =
+    WEIGHTS.reputation * reputation +
+    WEIGHTS.length * length +
+    WEIGHTS.content * (1 - boilerplate);
+
+  const reasons = [];
+  if (text.length < minLength) {
+    reasons.push(`too short (${text.length} characters)`);
+  }
+  if (PAYWALL_PATTERN.test(text) && words < FULL_LENGTH_WORDS / 2) {
+    reasons.push("paywalled");
+  }
+  if (score < minScore) {
+    const weak = [
+      reputation < 0.5 && "low-reputation domain",
+      length < 0.5 && "thin content",
+      boilerplate > 0.5 && "mostly boilerplate",
+    ].filter(Boolean);
+    reasons.push(
+      `low score ${score.toFixed(2)}${
+        weak.length > 0 ? ` (${weak.join(", ")})` : ""
+      }`
+    );
+  }
+
+  return {
+    score: Math.round(score * 100) / 100,
+    reputation,
+    boilerplate: Math.round(boilerplate * 100) / 100,
+    reasons,
+  };
+}
+
+// Split contents into the ones to keep and the ones to exclude with their
+// reasons. Near-duplicates are clustered behind their best scoring page:
+// alternates of a kept page are returned by its URL, alternates of an
+// excluded page are excluded too. Pinned URLs are always kept
+export function assessSources(contents, options = {}, pinned = new Set()) {
+  const scored = new Map(
+    contents.map((content) => [
+      content,
+      {
+        pinned: pinned.has(content.url),
+        domain: checkDomain(content.url, options),
+        ...scoreSource(content, options),
+      },
+    ])
+  );
+  const preferred = [...contents].sort(
+    (a, b) =>
+      scored.get(b).pinned - scored.get(a).pinned ||
+      scored.get(b).score - scored.get(a).score
+  );
+
+  const keptUrls = new Set();
+  const excluded = [];
+  const alternates = new Map();
+  const exclude = (content, reasons) =>
+    excluded.push({
+      url: content.url,
+      title: content.metadata?.title || content.url,
+      score: scored.get(content).score,
+      reasons,
+    });
+
+  for (const cluster of clusterContents(preferred)) {
+    const source = scored.get(cluster.canonical);
+    const reasons = [source.domain, ...source.reasons].filter(Boolean);
+    if (source.pinned || reasons.length === 0) {
+      keptUrls.add(cluster.canonical.url);
+      if (cluster.alternates.length > 0) {
+        alternates.set(cluster.canonical.url, cluster.alternates);
+      }
+    } else {
+      exclude(cluster.canonical, reasons);
+      for (const alternate of cluster.alternates) {
+        exclude(alternate, [
+          `duplicate of ${cluster.canonical.url}`,
+          ...scored.get(alternate).reasons,
+        ]);
+      }
+    }
+  }
+
+  // Kept pages stay in their original order
+  const kept = contents.filter((content) => keptUrls.has(content.url));
+  return { kept, excluded, alternates };
+}
+
+export function formatExcludedSource({ url, title, reasons }) {
+  return `${title === url ? url : `${title} (${url})`}: ${reasons.join("; ")}`;
+}
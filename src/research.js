@@ -1,17 +1,83 @@
 import fs from "fs-extra";
-import { createHash } from "crypto";
-import { generateObject } from "ai";
+import {
+  generateObject,
+  generateText,
+  zodSchema,
+  NoObjectGeneratedError,
+} from "ai";
 import { createOpenAI } from "@ai-sdk/openai";
 import { createAnthropic } from "@ai-sdk/anthropic";
 import { createGoogleGenerativeAI } from "@ai-sdk/google";
 import { createXai } from "@ai-sdk/xai";
 import { createDeepSeek } from "@ai-sdk/deepseek";
-import { input } from "@inquirer/prompts";
 import path from "path";
-import MarkdownIt from "markdown-it";
 import { z } from "zod";
-import supportedModels from "./models.js";
-import { estimateTokens, truncateContentsToFit } from "./tokenizer.js";
+import models from "./models.js";
+import {
+  estimateTokens,
+  truncateContentsToFit,
+  truncateToTokens,
+  chunkText,
+  planContentsToFit,
+} from "./tokenizer.js";
+import { PassageIndex, bestPassage } from "./retrieval.js";
+import { Budget, BudgetExceededError } from "./budget.js";
+import {
+  RETRY_DEFAULTS,
+  ApifyRunError,
+  StructuredOutputError,
+  isTransientError,
+  withRetries,
+} from "./retry.js";
+import { createSearchProvider } from "./search.js";
+import { UrlCache, LlmCache } from "./cache.js";
+import { listLocalFiles, readLocalFile } from "./sources.js";
+import {
+  QUALITY_DEFAULTS,
+  assessSources,
+  checkDomain,
+  hostnameOf,
+} from "./quality.js";
+import { sourceMetadata, toCslJson, toBibtex, toRis } from "./bibliography.js";
+import { renderDocx } from "./docx.js";
+import { renderEpub } from "./epub.js";
+import { renderHtml } from "./viewer.js";
+
+// Expected output tokens per stage, for budget estimates
+const OUTPUT_ESTIMATES = {
+  questions: 500,
+  queries: 500,
+  gaps: 2_000,
+  outline: 1_000,
+  chapter: 8_000,
+  verify: 4_000,
+  summary: 2_000,
+};
+
+// Passages sent to each chapter when ranking sources, unless
+// retrieval_tokens changes it
+const RETRIEVAL_TOKENS = 32_000;
+
+// Verification outcomes of a paragraph, in report order
+const CITATION_STATUSES = [
+  "supported",
+  "unsupported",
+  "contradicted",
+  "uncited",
+  "unverified",
+];
+
+// Content type of each report format generateDocument writes
+export const REPORT_CONTENT_TYPES = {
+  markdown: "text/markdown; charset=utf-8",
+  html: "text/html; charset=utf-8",
+  json: "application/json",
+  csl: "application/vnd.citationstyles.csl+json",
+  bibtex: "application/x-bibtex",
+  ris: "application/x-research-info-systems",
+  docx: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  epub: "application/epub+zip",
+};
 
 // Schemas
 export const QuestionsSchema = z.object({
@@ -49,109 +115,421 @@ export const ChapterContentSchema = z.object({
     ),
 });
 
+export const VerificationSchema = z.object({
+  paragraphs: z
+    .array(
+      z.object({
+        paragraph: z.number().describe("Paragraph number"),
+        status: z
+          .enum(["supported", "unsupported", "contradicted"])
+          .describe("Whether the cited sources support the paragraph"),
+        quote: z
+          .string()
+          .describe(
+            "Exact quote from a cited source that supports the paragraph, or empty"
+          ),
+        revision: z
+          .string()
+          .describe(
+            "For unsupported or contradicted paragraphs, the paragraph rewritten to claim only what its sources support, or empty"
+          ),
+      })
+    )
+    .describe("Verification of each paragraph"),
+});
+
+export const GapsSchema = z.object({
+  learnings: z.array(z.string()).describe("New key learnings"),
+  gaps: z.array(z.string()).describe("Open questions or thinly covered topics"),
+  queries: z.array(z.string()).describe("Search queries to fill the gaps"),
+});
+
+export const CondensedSchema = z.object({
+  notes: z.string().describe("Condensed notes relevant to the chapter"),
+});
+
 export const ResearchSummarySchema = z.object({
   abstract: z.string().describe("Abstract"),
   conclusions: z.string().describe("Conclusions"),
 });
 
+// Whether a quote appears in a text, ignoring case and whitespace
+function containsQuote(text, quote) {
+  const normalize = (value) => value.toLowerCase().replace(/\s+/g, " ").trim();
+  return Boolean(quote.trim()) && normalize(text).includes(normalize(quote));
+}
+
+// One line of citation counts, for progress and the report
+export function formatCitationQuality(citations) {
+  const checked = CITATION_STATUSES.reduce(
+    (sum, status) => sum + citations[status],
+    0
+  );
+  const actions = [
+    citations.rewritten && `${citations.rewritten} rewritten`,
+    citations.dropped && `${citations.dropped} dropped`,
+  ].filter(Boolean);
+  return `Citations: ${
+    citations.supported
+  } of ${checked} paragraphs supported, ${citations.unsupported} unsupported, ${
+    citations.contradicted
+  } contradicted, ${citations.uncited} without citations${
+    citations.unverified ? `, ${citations.unverified} unverified` : ""
+  }${actions.length > 0 ? ` (${actions.join(", ")})` : ""}`;
+}
+
+// File name for a subject's reports: letters, digits, "-" and "_" only, so
+// subjects like "../x" or "a/b" can't leave the output directory
+export function reportSlug(subject) {
+  const slug = subject
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}-]+/gu, "_")
+    .replace(/(^_+|_+$)/g, "")
+    .slice(0, 100);
+  return slug || "report";
+}
+
+// Paragraphs and their cited URLs from chapter Markdown, for chapters saved
+// before paragraphs were kept
+function parseParagraphs(markdown) {
+  return markdown.split("\n\n").map((text) => ({
+    text: text.replace(/\s*\[\(\d+\)\]\([^)]+\)/g, "").trim(),
+    references: [...text.matchAll(/\[\(\d+\)\]\(([^)]+)\)/g)].map((m) => m[1]),
+  }));
+}
+
+// Schema validation issues on one line, e.g. "chapters.0.title: Required"
+function formatIssues(error) {
+  const issues = error?.issues || error?.cause?.issues;
+  if (!issues) {
+    return error?.message || "no JSON object";
+  }
+  return issues
+    .map((issue) => `${issue.path.join(".") || "response"}: ${issue.message}`)
+    .join("; ");
+}
+
+// Pull a JSON object out of a model's text reply, ignoring code fences and prose
+function parseJsonObject(text) {
+  const start = text.indexOf("{");
+  const end = text.lastIndexOf("}");
+  if (start === -1 || end < start) {
+    return null;
+  }
+  try {
+    return JSON.parse(text.slice(start, end + 1));
+  } catch {
+    return null;
+  }
+}
+
 export class Research {
-  constructor(config, apifyClient, stats, showStats) {
+  // signal cancels the model calls, retries and Apify runs in progress
+  constructor(config, apifyClient, stats, budget, onWarning, signal) {
     this.config = config;
     this.apifyClient = apifyClient;
     this.stats = stats;
-    this.showStats = showStats;
+    this.budget = budget || new Budget(stats);
+    this.onWarning = onWarning || (() => {});
+    this.signal = signal;
+    this.retries = { ...RETRY_DEFAULTS, ...config.retries };
+    this.outputDir = config.output_dir || "reports";
     this.cache = {};
+    this.urlCache = new UrlCache(config.cache);
+    this.llmCache = config.llm_cache ? new LlmCache() : null;
     this.references = new Map();
     this.usedReferences = [];
-    this.lastRunId = null;
+    this.passageIndex = null;
+    this.searchResults = new Map();
+    this.quality = { ...QUALITY_DEFAULTS, ...config.quality };
+    // Sources left out of the report, with the reasons why
+    this.excludedSources = new Map();
+    this.searchProvider = createSearchProvider(
+      config.search,
+      this.runActor.bind(this)
+    );
+  }
 
-    // Initialize the appropriate AI provider
-    const provider = this.getProviderKey();
-    this.provider = provider;
+  // The model assigned to a stage, or the run's model
+  getModelId(stage) {
+    return this.config.stage_models?.[stage] || this.config.selected_model;
   }
 
-  getProviderKey() {
-    return Object.entries(supportedModels).find(([_, info]) =>
-      Object.keys(info.models).includes(this.config.selected_model)
-    )[0];
+  getModelInfo(stage) {
+    const modelId = this.getModelId(stage);
+    const modelInfo = models.get(modelId);
+    if (!modelInfo) {
+      throw new Error(`Unknown model: ${modelId}`);
+    }
+    return modelInfo;
   }
 
-  getAIProvider() {
-    const apiKey = this.config[`${this.provider}_api_key`];
+  getAIProvider(modelInfo) {
+    const provider = modelInfo.provider;
+
+    // Self-hosted endpoints may not need a key
+    if (provider === "compatible") {
+      const settings = this.config.compatible || {};
+      if (!settings.baseUrl) {
+        throw new Error(
+          `${modelInfo.id} is self-hosted and needs a baseUrl in the compatible settings`
+        );
+      }
+      const compatibleAI = createOpenAI({
+        baseURL: settings.baseUrl,
+        apiKey: this.config.compatible_api_key || "none",
+        compatibility: "compatible",
+        name: "compatible",
+      });
+      return compatibleAI(modelInfo.id, {
+        structuredOutputs: modelInfo.structuredOutput === "native",
+      });
+    }
+
+    const apiKey = this.config[`${provider}_api_key`];
     if (!apiKey) {
-      throw new Error(`API key for ${this.provider} is missing`);
+      throw new Error(`API key for ${provider} is missing`);
     }
 
-    switch (this.provider) {
+    switch (provider) {
       case "openai":
         const openai = createOpenAI({ apiKey });
-        return openai(this.config.selected_model);
+        return openai(modelInfo.id);
       case "anthropic":
         const anthropicAI = createAnthropic({ apiKey });
-        return anthropicAI(this.config.selected_model);
+        return anthropicAI(modelInfo.id);
       case "google":
         const googleAI = createGoogleGenerativeAI({ apiKey });
-        return googleAI(this.config.selected_model);
+        return googleAI(modelInfo.id);
       case "xai":
         const xaiAI = createXai({ apiKey });
-        return xaiAI(this.config.selected_model);
+        return xaiAI(modelInfo.id);
       case "deepseek":
         const deepseekAI = createDeepSeek({ apiKey });
-        return deepseekAI(this.config.selected_model);
+        return deepseekAI(modelInfo.id);
       default:
-        throw new Error(`Unsupported AI provider: ${this.provider}`);
+        throw new Error(`Unsupported AI provider: ${provider}`);
     }
   }
 
-  updateTokenUsage(usage) {
+  // Add a call's usage to the totals and to its model's own totals
+  updateTokenUsage(usage, modelPricing) {
     if (usage) {
-      const modelPricing =
-        supportedModels[this.getProviderKey()].models[
-          this.config.selected_model
-        ];
+      const inputTokens = usage.promptTokens || 0;
+      const outputTokens = usage.completionTokens || 0;
+      // Calculate costs in dollars (divide by 1M tokens and multiply by cost)
+      const cost =
+        (inputTokens / 1_000_000) * modelPricing.input +
+        (outputTokens / 1_000_000) * modelPricing.output;
+
+      this.stats.inputTokens += inputTokens;
+      this.stats.outputTokens += outputTokens;
+      this.stats.llmCost += cost;
+
+      this.stats.models ||= {};
+      const modelStats = (this.stats.models[modelPricing.id] ||= {
+        inputTokens: 0,
+        outputTokens: 0,
+        cost: 0,
+      });
+      modelStats.inputTokens += inputTokens;
+      modelStats.outputTokens += outputTokens;
+      modelStats.cost += cost;
+    }
+  }
 
-      this.stats.inputTokens += usage.promptTokens || 0;
-      this.stats.outputTokens += usage.completionTokens || 0;
+  // Count a cached response's tokens as saved rather than spent
+  recordCachedUsage(usage, modelPricing) {
+    const inputTokens = usage?.promptTokens || 0;
+    const outputTokens = usage?.completionTokens || 0;
+    this.stats.cachedTokens =
+      (this.stats.cachedTokens || 0) + inputTokens + outputTokens;
+    this.stats.savedCost =
+      (this.stats.savedCost || 0) +
+      (inputTokens / 1_000_000) * modelPricing.input +
+      (outputTokens / 1_000_000) * modelPricing.output;
+  }
 
-      // Calculate costs in dollars (divide by 1M tokens and multiply by cost)
-      this.stats.llmCost +=
-        ((usage.promptTokens || 0) / 1_000_000) * modelPricing.input +
-        ((usage.completionTokens || 0) / 1_000_000) * modelPricing.output;
+  // Options for withRetries that warn before each retry of a call
+  retryOptions(call) {
+    return {
+      ...this.retries,
+      signal: this.signal,
+      onRetry: (error, attempt, delay) => {
+        // Failed Apify runs already say which run failed and how
+        const reason =
+          error instanceof ApifyRunError
+            ? error.message
+            : `${call} failed (${error.message.split("\n")[0]})`;
+        this.onWarning(
+          `${reason}, retrying in ${(delay / 1000).toFixed(1)}s (attempt ${
+            attempt + 1
+          } of ${this.retries.attempts})`
+        );
+      },
+    };
+  }
+
+  // Structured LLM call for a stage, checked against the budget first. When
+  // the stage's model keeps failing, the fallback model gets the same prompt
+  async generate(stage, schema, prompt, outputTokens) {
+    const modelInfo = this.getModelInfo(stage);
+
+    // The stage names the schema in the cache key
+    if (this.llmCache) {
+      const cached = await this.llmCache.get(modelInfo.id, stage, prompt);
+      const result = cached && schema.safeParse(cached.object);
+      if (result?.success) {
+        this.recordCachedUsage(cached.usage, modelInfo);
+        return result.data;
+      }
     }
+
+    const fallbackId = this.config.fallback_model;
+    try {
+      return await this.generateWithModel(
+        modelInfo,
+        stage,
+        schema,
+        prompt,
+        outputTokens
+      );
+    } catch (error) {
+      // Budget stops and errors in our own code aren't the model's fault
+      const modelError =
+        isTransientError(error) || error.statusCode !== undefined;
+      if (!fallbackId || fallbackId === modelInfo.id || !modelError) {
+        throw error;
+      }
+      this.onWarning(
+        `${modelInfo.id} failed the ${stage} step (${
+          error.message.split("\n")[0]
+        }), falling back to ${fallbackId}`
+      );
+      return this.generateWithModel(
+        models.get(fallbackId),
+        stage,
+        schema,
+        prompt,
+        outputTokens
+      );
+    }
+  }
+
+  // One model's structured call, retried on transient errors. Replies that
+  // don't match the schema are asked again with the validation errors
+  async generateWithModel(modelInfo, stage, schema, prompt, outputTokens) {
+    const expectedOutput = Math.min(
+      outputTokens ?? OUTPUT_ESTIMATES[stage],
+      modelInfo.maxOutputTokens || Infinity
+    );
+    const model = this.getAIProvider(modelInfo);
+
+    let invalid = null;
+    const { object, usage } = await withRetries(async () => {
+      const attemptPrompt = invalid
+        ? `${prompt}\n\nYour previous response was rejected: ${invalid.message}\nRespond again, following the required format exactly.`
+        : prompt;
+      this.budget.check(
+        `the ${stage} step`,
+        this.budget.estimateLLM(
+          modelInfo,
+          estimateTokens(attemptPrompt),
+          expectedOutput
+        )
+      );
+
+      const options = {
+        model,
+        prompt: attemptPrompt,
+        // Retries are ours, with backoff and budget checks
+        maxRetries: 0,
+        abortSignal: this.signal,
+        ...(modelInfo.maxOutputTokens && {
+          maxTokens: modelInfo.maxOutputTokens,
+        }),
+      };
+      try {
+        return modelInfo.structuredOutput === "text"
+          ? await this.generateFromText(stage, schema, options)
+          : await this.generateStructured(stage, schema, options, modelInfo);
+      } catch (error) {
+        if (error instanceof StructuredOutputError) {
+          // Rejected replies still cost their tokens
+          this.updateTokenUsage(error.usage, modelInfo);
+          invalid = error;
+        }
+        throw error;
+      }
+    }, this.retryOptions(`The ${stage} step with ${modelInfo.id}`));
+
+    this.updateTokenUsage(usage, modelInfo);
+    if (this.llmCache) {
+      await this.llmCache.set(modelInfo.id, stage, prompt, { object, usage });
+    }
+    return object;
+  }
+
+  // Native or JSON mode structured output, repairing replies that only fail
+  // because of code fences or text around the JSON
+  async generateStructured(stage, schema, options, modelInfo) {
+    try {
+      return await generateObject({
+        ...options,
+        schema,
+        ...(modelInfo.structuredOutput === "json" && { mode: "json" }),
+      });
+    } catch (error) {
+      if (!NoObjectGeneratedError.isInstance(error)) {
+        throw error;
+      }
+      const result = schema.safeParse(parseJsonObject(error.text || ""));
+      if (result.success) {
+        return { object: result.data, usage: error.usage };
+      }
+      throw new StructuredOutputError(
+        stage,
+        formatIssues(error.cause || error),
+        error.usage
+      );
+    }
+  }
+
+  // For models without structured output: ask for JSON and validate it here
+  async generateFromText(stage, schema, options) {
+    const { text, usage } = await generateText({
+      ...options,
+      prompt: `${
+        options.prompt
+      }\n\nRespond only with a JSON object matching this JSON schema, without any other text:\n${JSON.stringify(
+        zodSchema(schema).jsonSchema
+      )}`,
+    });
+
+    const result = schema.safeParse(parseJsonObject(text));
+    if (!result.success) {
+      throw new StructuredOutputError(stage, formatIssues(result.error), usage);
+    }
+    return { object: result.data, usage };
   }
 
   async generateQuestions(subject) {
     const prompt = `Generate up to ${this.config.breadth} yes/no follow-up questions aimed at clarifying the research direction, what to include and exclude when researching: ${subject}.`;
 
     try {
-      const { object, usage } = await generateObject({
-        model: this.getAIProvider(),
-        schema: QuestionsSchema,
-        prompt,
-      });
+      const object = await this.generate("questions", QuestionsSchema, prompt);
 
-      this.updateTokenUsage(usage);
       // Add a static open-ended question
       return [
         ...object.questions,
         "What other aspects of this topic would you like to explore in depth?",
       ];
     } catch (error) {
+      if (error instanceof BudgetExceededError) throw error;
       throw new Error(`Error generating follow-up questions: ${error.message}`);
     }
   }
 
-  async askQuestions(questions) {
-    const answers = [];
-    for (const question of questions) {
-      const answer = await input({
-        message: question,
-      });
-      answers.push({ question, answer });
-    }
-    return answers;
-  }
-
   async generateSearchQueries(subject, followups) {
     const followupText = followups
       .map(
@@ -164,69 +542,162 @@ export class Research {
 
     const prompt = `Generate ${this.config.breadth} or less search engine queries to aid research on the subject of "${subject}". Queries should address the nuances highlighted in these follow-up questions:\n\n${followupText}`;
 
-    const { object, usage } = await generateObject({
-      model: this.getAIProvider(),
-      schema: QueriesSchema,
-      prompt,
-    });
-
-    this.updateTokenUsage(usage);
+    const object = await this.generate("queries", QueriesSchema, prompt);
     return object.queries;
   }
 
-  async searchQueries(queries) {
-    const [languageCode, countryCode] = this.config.locale.split("-");
-
-    const results = [];
-    const run = await this.apifyClient
-      .actor("apify/google-search-scraper")
-      .call({
-        queries: queries.join("\n"),
-        // google uses iw for hebrew
-        languageCode: languageCode === "he" ? "iw" : languageCode,
-        countryCode: countryCode.toLowerCase(),
-        resultsPerPage: this.config.depth,
-        maxPagesPerQuery: 1,
-      });
+  // Run an Apify actor within the budget and return its dataset items. Runs
+  // that fail or time out are retried, unless partial results are accepted
+  // and the run saved some
+  async runActor(actorId, input, estimatedResults) {
+    return withRetries(async () => {
+      this.budget.check(
+        `the ${actorId} run`,
+        this.budget.estimateApify(actorId, estimatedResults)
+      );
+
+      const started = await this.apifyClient.actor(actorId).start(input);
+
+      // Cancelling the research aborts the run on Apify too
+      const abortRun = () =>
+        this.apifyClient
+          .run(started.id)
+          .abort({ gracefully: false })
+          .then(
+            () => this.onWarning(`Aborted Apify run ${started.id}`),
+            (error) =>
+              this.onWarning(
+                `Failed to abort Apify run ${started.id}: ${error.message}`
+              )
+          );
+      this.signal?.addEventListener("abort", abortRun, { once: true });
+      let run;
+      try {
+        run = await this.apifyClient.run(started.id).waitForFinish();
+      } finally {
+        this.signal?.removeEventListener("abort", abortRun);
+      }
+
+      // Failed and aborted runs are billed too
+      this.stats.apifyCost += run.usageTotalUsd || 0;
+      this.signal?.throwIfAborted();
+
+      if (run.status !== "SUCCEEDED" && !this.config.partial_results) {
+        throw new ApifyRunError(actorId, run);
+      }
+
+      const dataset = await this.apifyClient
+        .dataset(run.defaultDatasetId)
+        .listItems();
 
-    this.lastRunId = run.id;
+      if (run.status !== "SUCCEEDED") {
+        const error = new ApifyRunError(actorId, run);
+        if (dataset.items.length === 0) {
+          throw error;
+        }
+        this.onWarning(
+          `${error.message}, using its ${dataset.items.length} partial results`
+        );
+      }
+      return dataset.items;
+    }, this.retryOptions(`The ${actorId} run`));
+  }
 
-    const dataset = await this.apifyClient
-      .dataset(run.defaultDatasetId)
-      .listItems();
-    this.stats.apifyCost += run.usageTotalUsd || 0;
+  async searchQueries(queries) {
+    const results = await this.searchProvider.search(queries, {
+      locale: this.config.locale,
+      depth: this.config.depth,
+      signal: this.signal,
+    });
 
-    results.push(...dataset.items.flatMap((d) => d.organicResults || []));
+    // Keep the first (best ranked) result for each URL
+    for (const result of results) {
+      if (!this.searchResults.has(result.url)) {
+        this.searchResults.set(result.url, result);
+      }
+    }
 
     return [...new Set(results.map((r) => r.url))];
   }
 
-  async crawlUrls(urls) {
-    await fs.ensureDir("cache");
-    const uncachedUrls = [];
+  // Leave out search results from denied or not allowed domains before
+  // crawling them; pinned URLs were asked for and are always kept
+  filterUrls(urls, pinned = new Set()) {
+    return urls.filter((url) => {
+      const reason = pinned.has(url) ? null : checkDomain(url, this.quality);
+      if (reason) {
+        this.excludedSources.set(url, {
+          url,
+          title: this.searchResults.get(url)?.title || url,
+          score: null,
+          reasons: [reason],
+        });
+      }
+      return !reason;
+    });
+  }
+
+  // Score and deduplicate the contents, returning one page per cluster of
+  // near-identical ones if it's good enough for chapters. The other pages of a
+  // cluster are kept as alternates of its reference. Local files and pinned
+  // URLs are always kept
+  selectSources(contents, pinned = new Set()) {
+    const local = contents
+      .filter((content) => this.references.get(content.url)?.path)
+      .map((content) => content.url);
+    const { kept, excluded, alternates } = assessSources(
+      contents,
+      this.quality,
+      new Set([...pinned, ...local])
+    );
+    for (const source of excluded) {
+      this.excludedSources.set(source.url, source);
+    }
+    for (const [url, pages] of alternates) {
+      this.references.get(url).alternates = pages.map((page) => ({
+        url: page.url,
+        title: page.metadata?.title || page.url,
+      }));
+    }
+    return { kept, excluded, alternates };
+  }
+
+  // Keep a crawled page, citable by its title and URL
+  addPage(url, page, round) {
+    this.cache[url] = page;
+    this.references.set(url, {
+      title: page.metadata?.title || url,
+      url: url,
+      round: this.references.get(url)?.round ?? round,
+    });
+  }
+
+  async crawlUrls(urls, round = 1) {
+    // Offline providers bring their own pages, which stay out of the cache
+    if (this.searchProvider.crawl) {
+      for (const page of await this.searchProvider.crawl(
+        urls,
+        this.searchResults
+      )) {
+        this.addPage(page.url, page, round);
+      }
+      return Object.values(this.cache);
+    }
 
+    const uncachedUrls = [];
     for (const url of urls) {
-      const md5 = createHash("md5")
-        .update(url.toLowerCase().trim())
-        .digest("hex");
-      const cachePath = path.join("cache", `url_${md5}.json`);
-
-      if (await fs.pathExists(cachePath)) {
-        const cached = await fs.readJSON(cachePath);
-        this.cache[url] = cached;
-        this.references.set(url, {
-          title: cached.metadata?.title || url,
-          url: url,
-        });
+      const cached = await this.urlCache.get(url);
+      if (cached) {
+        this.addPage(url, cached, round);
       } else {
         uncachedUrls.push(url);
       }
     }
 
     if (uncachedUrls.length > 0) {
-      const run = await this.apifyClient
-        .actor("apify/website-content-crawler")
-        .call({
+      const items = await this.runActor(
+        "apify/website-content-crawler",
+        {
           startUrls: uncachedUrls.map((url) => ({ url })),
           maxCrawlDepth: 0,
           maxCrawlPages: uncachedUrls.length,
@@ -236,32 +707,61 @@ export class Research {
           saveScreenshots: false,
           saveHtml: false,
           saveMarkdown: false,
-        });
+        },
+        uncachedUrls.length
+      );
 
-      this.lastRunId = run.id;
+      for (const item of items) {
+        await this.urlCache.set(item.url, item);
+        this.addPage(item.url, item, round);
+      }
+      await this.urlCache.save();
+    }
 
-      const dataset = await this.apifyClient
-        .dataset(run.defaultDatasetId)
-        .listItems();
-      this.stats.apifyCost += run.usageTotalUsd || 0;
+    return Object.values(this.cache);
+  }
 
-      for (const item of dataset.items) {
-        const md5 = createHash("md5")
-          .update(item.url.toLowerCase().trim())
-          .digest("hex");
-        await fs.writeJSON(path.join("cache", `url_${md5}.json`), item);
-        this.cache[item.url] = item;
-        this.references.set(item.url, {
-          title: item.metadata?.title || item.url,
-          url: item.url,
-        });
+  // Read local files and folders into the contents, citable by title and
+  // path; returns the files that couldn't be used
+  async readLocalSources(paths) {
+    const skipped = [];
+    for (const target of paths) {
+      for (const file of await listLocalFiles(target)) {
+        try {
+          const content = await readLocalFile(file);
+          if (!content.text) {
+            skipped.push({ file, reason: "no text" });
+            continue;
+          }
+          this.cache[content.url] = content;
+          this.references.set(content.url, {
+            title: content.metadata.title,
+            url: content.url,
+            path: content.metadata.path,
+          });
+        } catch (error) {
+          skipped.push({ file, reason: error.message });
+        }
       }
     }
+    return skipped;
+  }
 
-    return Object.values(this.cache);
+  // Crawled contents and their references, for checkpointing
+  exportSources() {
+    return {
+      contents: Object.values(this.cache),
+      references: [...this.references.entries()],
+    };
   }
 
-  async generateChapters(subject, followups, contents) {
+  importSources({ contents, references }) {
+    this.cache = Object.fromEntries(contents.map((c) => [c.url, c]));
+    this.references = new Map(references);
+    return contents;
+  }
+
+  async analyzeGaps(subject, followups, contents, learnings, previousQueries) {
     const followupText = followups
       .map(
         (f, i) =>
@@ -271,19 +771,75 @@ export class Research {
       )
       .join("\n\n");
 
-    const contentText = contents
+    const basePrompt = `Review the contents gathered so far for a deep research paper on the subject of "${subject}". Compared to the follow-up answers and the previous learnings, list the new key learnings from the contents, the open questions or thinly covered topics, and up to ${
+      this.config.breadth
+    } new search engine queries to fill those gaps. Don't repeat previous queries, and return no queries if the subject is already well covered.
+
+${followupText}
+
+<previous_learnings>
+${learnings.join("\n")}
+</previous_learnings>
+
+<previous_queries>
+${previousQueries.join("\n")}
+</previous_queries>`;
+
+    const modelInfo = this.getModelInfo("gaps");
+    const truncatedContents = truncateContentsToFit(
+      basePrompt,
+      contents,
+      modelInfo.contextWindow
+    );
+
+    const contentText = truncatedContents
       .map((c, i) => `<content${i + 1}>\n${c.text}\n</content${i + 1}>`)
       .join("\n\n");
 
-    const prompt = `Generate a list of up to ${this.config.breadth} numbered chapters for a deep research paper on the subject of "${subject}". Each chapter should have a number and title. Chapters should cover the entire subject, including followups, based on the contents provided. Note that the locale is ${this.config.locale}.\n\n${followupText}\n\n${contentText}`;
+    return this.generate("gaps", GapsSchema, `${basePrompt}\n\n${contentText}`);
+  }
 
-    const { object, usage } = await generateObject({
-      model: this.getAIProvider(),
-      schema: ChaptersSchema,
-      prompt,
-    });
+  async generateChapters(subject, followups, contents, learnings = []) {
+    const followupText = followups
+      .map(
+        (f, i) =>
+          `<followup${i + 1}>\nQuestion: ${f.question}\nAnswer: ${
+            f.answer
+          }\n</followup${i + 1}>`
+      )
+      .join("\n\n");
+
+    const learningsText =
+      learnings.length > 0
+        ? `<learnings>\n${learnings.join("\n")}\n</learnings>\n\n`
+        : "";
+
+    const basePrompt = `Generate a list of up to ${this.config.breadth} numbered chapters for a deep research paper on the subject of "${subject}". Each chapter should have a number and title. Chapters should cover the entire subject, including followups, based on the contents provided. Note that the locale is ${this.config.locale}.\n\n${followupText}\n\n${learningsText}`;
 
-    this.updateTokenUsage(usage);
+    // Every source gets a fair share of the context window; the beginning of
+    // a page is enough to plan chapters on
+    const modelInfo = this.getModelInfo("outline");
+    const { kept } = planContentsToFit(
+      basePrompt,
+      contents,
+      modelInfo.contextWindow
+    );
+    const contentText = kept
+      .map(
+        ({ content, condense, targetTokens }, i) =>
+          `<content${i + 1}>\n${
+            condense
+              ? truncateToTokens(content.text, targetTokens)
+              : content.text
+          }\n</content${i + 1}>`
+      )
+      .join("\n\n");
+
+    const object = await this.generate(
+      "outline",
+      ChaptersSchema,
+      `${basePrompt}${contentText}`
+    );
     return object.chapters;
   }
 
@@ -292,13 +848,16 @@ export class Research {
     chapter,
     chapters,
     contents,
-    previousChapter = ""
+    previousSummaries = []
   ) {
     const chaptersText = chapters
       .map((c) => `${c.number}. ${c.title}`)
       .join("\n");
+    const previousText = previousSummaries
+      .map((s) => `${s.number}. ${s.title}: ${s.summary}`)
+      .join("\n");
 
-    const basePrompt = `For a comprehensive research paper on "${subject}" that covers the following chapters, generate the complete text for chapter ${chapter.number}. You will receive a list of chapters, extensive contents to work with, and previous chapter text (previous_chapter). Use the provided contents and previous_chapter as your basis, ensuring that previous_chapter is only repeated when absolutely necessary. The chapter should be written in the ${this.config.locale} locale and cover the chapter in its entirety.
+    const basePrompt = `For a comprehensive research paper on "${subject}" that covers the following chapters, generate the complete text for chapter ${chapter.number}. You will receive a list of chapters, extensive contents to work with, and summaries of earlier chapters (previous_chapters). Use the provided contents as your basis, and use previous_chapters for continuity, repeating what they cover only when absolutely necessary. The chapter should be written in the ${this.config.locale} locale and cover the chapter in its entirety.
 
 Your response should include:
 1. A summary of the chapter
@@ -312,21 +871,24 @@ Don't include the chapter title or number in your responses.
 ${chaptersText}
 </chapters>
 
-<previous_chapter>
-${previousChapter}
-</previous_chapter>`;
+<previous_chapters>
+${previousText}
+</previous_chapters>`;
 
-    // Get model's context window
-    const modelInfo =
-      supportedModels[this.getProviderKey()].models[this.config.selected_model];
-    const contextWindow = modelInfo.contextWindow;
+    // Rank passages by relevance to this chapter unless retrieval is off
+    const candidates =
+      this.config.retrieval === "off"
+        ? contents
+        : this.selectPassages(subject, chapter, basePrompt, contents);
 
-    // Truncate contents to fit within context window
-    const truncatedContents = truncateContentsToFit(
+    // Fit contents within context window, condensing or dropping the rest
+    const { contents: truncatedContents, sourceUsage } = await this.fitContents(
+      subject,
+      chapter,
       basePrompt,
-      contents,
-      contextWindow
+      candidates
     );
+    sourceUsage.excluded += contents.length - candidates.length;
 
     const contentsText = truncatedContents
       .map((c, i) => `<content${i + 1}>\n${c.text}\n</content${i + 1}>`)
@@ -334,39 +896,266 @@ ${previousChapter}
 
     const prompt = `${basePrompt}\n\n${contentsText}`;
 
-    const { object, usage } = await generateObject({
-      model: this.getAIProvider(),
-      schema: ChapterContentSchema,
-      prompt,
-    });
+    const object = await this.generate("chapter", ChapterContentSchema, prompt);
+
+    // Keep the in-range references as the contents each paragraph cites
+    let paragraphs = object.paragraphs.map((para) => ({
+      text: para.text,
+      sources: [
+        ...new Set(
+          para.references.filter(
+            (refNum) => refNum >= 1 && refNum <= truncatedContents.length
+          )
+        ),
+      ].map((refNum) => truncatedContents[refNum - 1]),
+    }));
+
+    let citations = null;
+    if ((this.config.verify || "off") !== "off") {
+      paragraphs = await this.verifyParagraphs(subject, chapter, paragraphs);
+      ({ paragraphs, citations } = this.applyVerification(paragraphs));
+    }
 
-    // Process references and build content in one pass
-    const processedParagraphs = object.paragraphs.map((para) => {
-      // Track references and build reference links
-      const refs = para.references
-        .map((refNum) => {
-          const contentIndex = refNum - 1;
-          if (contentIndex >= 0 && contentIndex < truncatedContents.length) {
-            const url = truncatedContents[contentIndex].url;
-            // Add to global references if not already there
-            if (!this.usedReferences.includes(url)) {
-              this.usedReferences.push(url);
-            }
-            const refIndex = this.usedReferences.indexOf(url) + 1;
-            return `[(${refIndex})](${url})`;
+    // References are numbered when the chapter is added to the report
+    return {
+      summary: object.summary,
+      sourceUsage,
+      citations,
+      paragraphs: paragraphs.map(({ text, sources, status, quote, flag }) => ({
+        text,
+        references: sources.map((source) => source.url),
+        // The verified quote, or the closest passage, for citation previews
+        excerpts: sources.map((source) =>
+          quote && containsQuote(source.text, quote)
+            ? quote
+            : bestPassage(text, source.text)
+        ),
+        status: status || null,
+        quote: quote || "",
+        flag: flag || null,
+      })),
+    };
+  }
+
+  // Number a chapter's citations by first use across the report and render
+  // its paragraphs. Chapters are numbered in report order, however they were
+  // generated, so the numbering never depends on which finished first
+  numberReferences(paragraphs) {
+    return paragraphs
+      .map((para) => {
+        // Track references and build reference links
+        const refs = para.references.map((url) => {
+          // Add to global references if not already there
+          if (!this.usedReferences.includes(url)) {
+            this.usedReferences.push(url);
           }
-          return null;
-        })
-        .filter(Boolean);
+          const refIndex = this.usedReferences.indexOf(url) + 1;
+          return `[(${refIndex})](${url})`;
+        });
+
+        // Return paragraph text with references and any verification flag
+        return (
+          para.text +
+          (refs.length > 0 ? ` ${refs.join("")}` : "") +
+          (para.flag ? ` *(${para.flag})*` : "")
+        );
+      })
+      .join("\n\n");
+  }
+
+  // Check each paragraph against the exact source texts it cites
+  async verifyParagraphs(subject, chapter, paragraphs) {
+    const cited = [...new Set(paragraphs.flatMap((para) => para.sources))];
+    if (cited.length === 0) {
+      return paragraphs.map((para) => ({ ...para, status: "uncited" }));
+    }
 
-      // Return paragraph text with references
-      return para.text + (refs.length > 0 ? ` ${refs.join("")}` : "");
+    const basePrompt = `Verify the paragraphs of chapter ${chapter.number} ("${chapter.title}") of a research paper on "${subject}" against the sources each one cites. For every paragraph with sources, decide whether its cited sources support it, don't mention it (unsupported) or contradict it. Copy the exact sentence from a cited source that best supports it as the quote. For unsupported or contradicted paragraphs, rewrite the paragraph in the ${this.config.locale} locale to claim only what its sources support, or leave the revision empty if they support nothing of it.`;
+
+    // Sources past the verifying model's context window can't be checked
+    const shown = truncateContentsToFit(
+      `${basePrompt}\n\n${paragraphs.map((p) => p.text).join("\n\n")}`,
+      cited,
+      this.getModelInfo("verify").contextWindow
+    );
+
+    const paragraphsText = paragraphs
+      .map((para, i) => {
+        const numbers = para.sources
+          .filter((source) => shown.includes(source))
+          .map((source) => shown.indexOf(source) + 1);
+        return numbers.length > 0
+          ? `<paragraph${i + 1} sources="${numbers.join(",")}">\n${
+              para.text
+            }\n</paragraph${i + 1}>`
+          : null;
+      })
+      .filter(Boolean)
+      .join("\n\n");
+
+    const sourcesText = shown
+      .map((c, i) => `<source${i + 1}>\n${c.text}\n</source${i + 1}>`)
+      .join("\n\n");
+
+    const object = await this.generate(
+      "verify",
+      VerificationSchema,
+      `${basePrompt}\n\n${paragraphsText}\n\n${sourcesText}`
+    );
+
+    const results = new Map(object.paragraphs.map((r) => [r.paragraph, r]));
+    return paragraphs.map((para, i) => {
+      if (para.sources.length === 0) {
+        return { ...para, status: "uncited" };
+      }
+      const result = results.get(i + 1);
+      if (!result || !para.sources.some((source) => shown.includes(source))) {
+        return { ...para, status: "unverified" };
+      }
+
+      // A supporting quote that isn't in the sources doesn't count
+      const quoteFound = para.sources.some((source) =>
+        containsQuote(source.text, result.quote)
+      );
+      const status =
+        result.status === "supported" && !quoteFound
+          ? "unsupported"
+          : result.status;
+      return {
+        ...para,
+        status,
+        quote: quoteFound ? result.quote : "",
+        revision: result.revision,
+      };
     });
+  }
+
+  // Drop, rewrite or flag the weak paragraphs, and count the outcomes
+  applyVerification(paragraphs) {
+    const mode = this.config.verify;
+    const citations = Object.fromEntries(
+      [...CITATION_STATUSES, "rewritten", "dropped"].map((key) => [key, 0])
+    );
 
-    this.updateTokenUsage(usage);
+    const kept = [];
+    for (const para of paragraphs) {
+      citations[para.status]++;
+      if (para.status !== "unsupported" && para.status !== "contradicted") {
+        kept.push(para);
+      } else if (mode === "drop" || (mode === "rewrite" && !para.revision)) {
+        citations.dropped++;
+      } else if (mode === "rewrite") {
+        citations.rewritten++;
+        kept.push({ ...para, text: para.revision });
+      } else {
+        kept.push({ ...para, flag: `${para.status} by the cited sources` });
+      }
+    }
+    return { paragraphs: kept, citations };
+  }
+
+  // Most relevant passages for a chapter, one content per source, within the
+  // retrieval budget and the chapter model's context window
+  selectPassages(subject, chapter, basePrompt, contents) {
+    if (this.passageIndex?.contents !== contents) {
+      this.passageIndex = new PassageIndex(contents);
+    }
+
+    const modelInfo = this.getModelInfo("chapter");
+    // Leave room for the <contentN> tags and [...] separators
+    const available =
+      modelInfo.contextWindow -
+      estimateTokens(basePrompt) -
+      contents.length * 20;
+
+    return this.passageIndex.select(
+      `${subject} ${chapter.title}`,
+      Math.min(this.config.retrieval_tokens || RETRIEVAL_TOKENS, available)
+    );
+  }
+
+  async fitContents(subject, chapter, basePrompt, contents) {
+    const modelInfo = this.getModelInfo("chapter");
+
+    if (this.config.overflow === "truncate") {
+      const truncated = truncateContentsToFit(
+        basePrompt,
+        contents,
+        modelInfo.contextWindow
+      );
+      return {
+        contents: truncated,
+        sourceUsage: {
+          used: truncated.length,
+          condensed: 0,
+          excluded: contents.length - truncated.length,
+        },
+      };
+    }
+
+    const { kept, excluded } = planContentsToFit(
+      basePrompt,
+      contents,
+      modelInfo.contextWindow
+    );
+
+    const fitted = [];
+    for (const entry of kept) {
+      fitted.push(
+        entry.condense
+          ? await this.condenseContent(
+              subject,
+              chapter,
+              entry.content,
+              entry.targetTokens
+            )
+          : entry.content
+      );
+    }
+
+    const condensed = kept.filter((entry) => entry.condense).length;
     return {
-      summary: object.summary,
-      text: processedParagraphs.join("\n\n"),
+      contents: fitted,
+      sourceUsage: {
+        used: kept.length - condensed,
+        condensed,
+        excluded: excluded.length,
+      },
+    };
+  }
+
+  // Map-reduce an oversized content into notes relevant to a chapter
+  async condenseContent(subject, chapter, content, targetTokens) {
+    const modelInfo = this.getModelInfo("condense");
+    const chunks = chunkText(
+      content.text,
+      Math.floor(modelInfo.contextWindow / 2)
+    );
+    // Roughly 0.75 words per token
+    const words = Math.max(
+      50,
+      Math.floor(((targetTokens / chunks.length) * 3) / 4)
+    );
+
+    const notes = [];
+    for (const chunk of chunks) {
+      const prompt = `Condense the following source excerpt for chapter ${chapter.number} ("${chapter.title}") of a research paper on "${subject}". Keep only the facts, figures, names, dates and quotes relevant to that chapter, in at most ${words} words. Write in the ${this.config.locale} locale, and return empty notes if nothing is relevant.\n\n<source>\n${chunk}\n</source>`;
+
+      const object = await this.generate(
+        "condense",
+        CondensedSchema,
+        prompt,
+        Math.ceil((words * 4) / 3)
+      );
+      if (object.notes.trim()) {
+        notes.push(object.notes.trim());
+      }
+    }
+
+    return {
+      ...content,
+      text: truncateToTokens(notes.join("\n\n"), targetTokens),
+      condensed: true,
     };
   }
 
@@ -382,35 +1171,72 @@ ${previousChapter}
 
     const prompt = `Generate an abstract and conclusions for a research paper on "${subject}" based on the following chapter summaries. Texts should be written in the ${this.config.locale} locale.\n\n${chaptersText}`;
 
-    const { object, usage } = await generateObject({
-      model: this.getAIProvider(),
-      schema: ResearchSummarySchema,
-      prompt,
-    });
-
-    this.updateTokenUsage(usage);
-    return object;
+    return this.generate("summary", ResearchSummarySchema, prompt);
   }
 
-  async generateDocument(subject, abstract, chapters, conclusions) {
-    await fs.ensureDir("reports");
+  // details: { answers, queries } of the run, for the JSON report
+  async generateDocument(
+    subject,
+    abstract,
+    chapters,
+    conclusions,
+    details = {}
+  ) {
+    await fs.ensureDir(this.outputDir);
 
-    const slug = subject
-      .toLowerCase()
-      .replace(/\s+/g, "_")
-      .replace(/(^_|_$)/g, "");
+    const slug = reportSlug(subject);
+    const outputDir = path.resolve(this.outputDir);
+    if (path.dirname(path.join(outputDir, slug)) !== outputDir) {
+      throw new Error(`Invalid report name: ${slug}`);
+    }
 
     const toc = [
       ...chapters.map((c) => `${c.number}. [${c.title}](#chapter-${c.number})`),
     ].join("\n");
 
+    // Citation quality across the verified chapters
+    const verified = chapters.filter((c) => c.citations);
+    const citations =
+      verified.length > 0
+        ? Object.fromEntries(
+            Object.keys(verified[0].citations).map((key) => [
+              key,
+              verified.reduce((sum, c) => sum + c.citations[key], 0),
+            ])
+          )
+        : null;
+
     const orderedReferences = this.usedReferences
       .map((url, index) => {
         const ref = this.references.get(url);
-        return `- [(${index + 1})](${url}) ${ref.title}`;
+        // Show which research round found the source
+        const round =
+          (this.config.rounds || 1) > 1 && ref?.round
+            ? ` *(round ${ref.round})*`
+            : "";
+        // Local files also show their path
+        const local = ref?.path ? ` *(${ref.path})*` : "";
+        // Near-duplicate copies of the source
+        const alternates = ref?.alternates?.length
+          ? ` *(also at ${ref.alternates
+              .map((a) => `[${hostnameOf(a.url) || a.url}](${a.url})`)
+              .join(", ")})*`
+          : "";
+        return `- [(${index + 1})](${url}) ${
+          ref?.title || url
+        }${local}${round}${alternates}`;
       })
       .join("\n");
 
+    // Appendix of the sources left out, and why
+    const excludedSources = [...this.excludedSources.values()];
+    const excludedList = excludedSources
+      .map(
+        ({ url, title, reasons }) =>
+          `- [${title}](${url}): ${reasons.join("; ")}`
+      )
+      .join("\n");
+
     const content = [
       `# ${subject}`,
       `\n*Generated on ${
@@ -425,84 +1251,140 @@ ${previousChapter}
       ),
       "\n---\n",
       `*${conclusions}*`,
+      ...(citations
+        ? ["\n---\n", `*${formatCitationQuality(citations)}*`]
+        : []),
       "\n---\n",
       orderedReferences,
+      ...(excludedSources.length > 0
+        ? ["\n<h2 id='excluded-sources'>Excluded Sources</h2>\n", excludedList]
+        : []),
     ].join("\n");
 
-    const mdPath = path.join("reports", `${slug}.md`);
+    const mdPath = path.join(this.outputDir, `${slug}.md`);
     await fs.writeFile(mdPath, content);
 
-    // Configure markdown-it
-    const md = new MarkdownIt({
-      html: true,
-      breaks: true,
-      linkify: true,
-      typographer: true,
-    });
-
-    // Process the content to convert markdown reference links to HTML superscript links
-    let htmlContent = content;
-    // Replace inline references [(X)](url) with superscript links
-    htmlContent = htmlContent.replace(
-      /\[\((\d+)\)\]\(([^)]+)\)/g,
-      '<sup><a href="$2">$1</a></sup>'
+    const sources = this.usedReferences.map((url, index) =>
+      sourceMetadata({
+        id: index + 1,
+        url,
+        reference: this.references.get(url),
+        content: this.cache[url],
+        searchResult: this.searchResults.get(url),
+      })
+    );
+    const report = this.buildReport(
+      subject,
+      abstract,
+      chapters,
+      conclusions,
+      details,
+      sources,
+      citations
     );
-
-    // Convert markdown to HTML
-    htmlContent = md.render(htmlContent);
 
     // Check if the locale is RTL
     const [languageCode] = this.config.locale.split("-");
     const rtlLanguages = ["ar", "he", "iw"]; // iw is the old code for Hebrew
-    const isRtl = rtlLanguages.includes(languageCode);
-    const dirAttribute = isRtl ? ' dir="rtl"' : "";
-
-    const html = `<!DOCTYPE html>
-<html${dirAttribute}>
-<head>
-  <meta charset="UTF-8">
-  <title>${subject}</title>
-  <style>
-    body { max-width: 800px; margin: 40px auto; padding: 0 20px; font-family: -apple-system, system-ui, sans-serif; line-height: 1.6; }
-    code { background: #f4f4f4; padding: 2px 5px; border-radius: 3px; }
-    pre { background: #f4f4f4; padding: 1em; overflow-x: auto; }
-    a { color: #0366d6; text-decoration: underline; }
-    h1, h2 { border-bottom: 1px solid #eaecef; padding-bottom: .3em; }
-    .markdown-body { padding: 2em; }
-    em { color: #666; }
-    ul, ol { padding-left: 2em; }
-    li { margin: 0.5em 0; }
-    :target { 
-      scroll-margin-top: 2em;
-      background: #ffffd8;
-      padding: 0.2em;
-    }
-    hr {
-      border: 0;
-      height: 1px;
-      background: #eaecef;
-      margin: 2em 0;
-    }
-    sup a {
-      text-decoration: none;
-      padding: 0 2px;
-    }
-  </style>
-</head>
-<body class="markdown-body">
-  ${htmlContent}
-</body>
-</html>`;
+    const renderOptions = {
+      rtl: rtlLanguages.includes(languageCode),
+      citationQuality: citations && formatCitationQuality(citations),
+    };
+
+    const htmlPath = path.join(this.outputDir, `${slug}.html`);
+    await fs.writeFile(htmlPath, renderHtml(report, renderOptions));
 
-    const htmlPath = path.join("reports", `${slug}.html`);
-    await fs.writeFile(htmlPath, html);
+    const jsonPath = path.join(this.outputDir, `${slug}.json`);
+    await fs.writeJSON(jsonPath, report, { spaces: 2 });
+    const cslPath = path.join(this.outputDir, `${slug}.csl.json`);
+    await fs.writeJSON(cslPath, toCslJson(sources), { spaces: 2 });
+    const bibtexPath = path.join(this.outputDir, `${slug}.bib`);
+    await fs.writeFile(bibtexPath, `${toBibtex(sources)}\n`);
+    const risPath = path.join(this.outputDir, `${slug}.ris`);
+    await fs.writeFile(risPath, `${toRis(sources)}\n`);
+
+    // Word and e-reader versions from the same structure
+    const docxPath = path.join(this.outputDir, `${slug}.docx`);
+    await fs.writeFile(docxPath, await renderDocx(report, renderOptions));
+    const epubPath = path.join(this.outputDir, `${slug}.epub`);
+    await fs.writeFile(epubPath, await renderEpub(report, renderOptions));
 
     return {
       content,
       paths: {
         markdown: mdPath,
         html: htmlPath,
+        json: jsonPath,
+        csl: cslPath,
+        bibtex: bibtexPath,
+        ris: risPath,
+        docx: docxPath,
+        epub: epubPath,
+      },
+    };
+  }
+
+  // The canonical JSON export: parameters, inputs, chapters with each
+  // paragraph's cited source ids, and the sources
+  buildReport(
+    subject,
+    abstract,
+    chapters,
+    conclusions,
+    details,
+    sources,
+    citations
+  ) {
+    const sourceId = (url) => this.usedReferences.indexOf(url) + 1;
+
+    return {
+      subject,
+      generatedAt: new Date().toISOString(),
+      parameters: {
+        model: this.config.selected_model,
+        stageModels: this.config.stage_models || {},
+        fallbackModel: this.config.fallback_model || null,
+        breadth: this.config.breadth,
+        depth: this.config.depth,
+        locale: this.config.locale,
+        rounds: this.config.rounds || 1,
+        concurrency: this.config.concurrency || 1,
+        overflow: this.config.overflow,
+        retrieval: this.config.retrieval,
+        verify: this.config.verify || "off",
+        searchProvider: this.config.search?.provider || "google",
+        quality: this.quality,
       },
+      answers: details.answers || [],
+      queries: details.queries || [],
+      abstract,
+      chapters: chapters.map((chapter) => ({
+        number: chapter.number,
+        title: chapter.title,
+        summary: chapter.summary,
+        paragraphs: (
+          chapter.paragraphs || parseParagraphs(chapter.content)
+        ).map((para) => {
+          const cited = para.references
+            .map((url, i) => ({
+              id: sourceId(url),
+              excerpt: para.excerpts?.[i] || "",
+            }))
+            .filter((c) => c.id > 0);
+          return {
+            text: para.text,
+            sources: cited.map((c) => c.id),
+            excerpts: cited.map((c) => c.excerpt),
+            ...(para.status && { status: para.status, quote: para.quote }),
+            ...(para.flag && { flag: para.flag }),
+          };
+        }),
+        citations: chapter.citations || null,
+      })),
+      conclusions,
+      citationQuality: citations,
+      sources,
+      excludedSources: [...this.excludedSources.values()],
     };
   }
 }
@@ -0,0 +1,122 @@
+// Local BM25 retrieval over passages of the crawled contents
+
+import { chunkText, estimateTokens } from "./tokenizer.js";
+
+const K1 = 1.2;
+const B = 0.75;
+
+// Lowercased words, in any script
+export function tokenizeTerms(text) {
+  return (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).filter(
+    (term) => term.length > 1
+  );
+}
+
+export class PassageIndex {
+  constructor(contents, passageTokens = 300) {
+    this.contents = contents;
+    this.passages = [];
+    this.documentFrequency = new Map();
+
+    contents.forEach((content, contentIndex) => {
+      chunkText(content.text || "", passageTokens).forEach((text, position) => {
+        const terms = tokenizeTerms(text);
+        const termFrequency = new Map();
+        for (const term of terms) {
+          termFrequency.set(term, (termFrequency.get(term) || 0) + 1);
+        }
+        for (const term of termFrequency.keys()) {
+          this.documentFrequency.set(
+            term,
+            (this.documentFrequency.get(term) || 0) + 1
+          );
+        }
+
+        this.passages.push({
+          contentIndex,
+          position,
+          text,
+          tokens: estimateTokens(text),
+          length: terms.length,
+          termFrequency,
+        });
+      });
+    });
+
+    this.averageLength =
+      this.passages.reduce((sum, p) => sum + p.length, 0) /
+        this.passages.length || 1;
+  }
+
+  // Passages matching the query, best first
+  search(query) {
+    const queryTerms = [...new Set(tokenizeTerms(query))];
+    const count = this.passages.length;
+
+    return this.passages
+      .map((passage) => {
+        let score = 0;
+        for (const term of queryTerms) {
+          const frequency = passage.termFrequency.get(term);
+          if (!frequency) continue;
+
+          const documents = this.documentFrequency.get(term);
+          const idf = Math.log(
+            1 + (count - documents + 0.5) / (documents + 0.5)
+          );
+          score +=
+            (idf * frequency * (K1 + 1)) /
+            (frequency +
+              K1 * (1 - B + (B * passage.length) / this.averageLength));
+        }
+        return { passage, score };
+      })
+      .filter((result) => result.score > 0)
+      .sort((a, b) => b.score - a.score);
+  }
+
+  // Best passages within a token budget, regrouped into one content per
+  // source, ordered by each source's best passage. Budget the matches leave
+  // is filled with the other passages in source order, so a query sharing no
+  // terms with the sources still gets some of them
+  select(query, maxTokens) {
+    const selected = new Map();
+    const chosen = new Set();
+    let totalTokens = 0;
+    const add = (passage) => {
+      chosen.add(passage);
+      totalTokens += passage.tokens;
+      if (!selected.has(passage.contentIndex)) {
+        selected.set(passage.contentIndex, []);
+      }
+      selected.get(passage.contentIndex).push(passage);
+    };
+
+    const ranked = this.search(query).map(({ passage }) => passage);
+    for (const passage of [...ranked, ...this.passages]) {
+      if (chosen.has(passage)) continue;
+      if (totalTokens + passage.tokens > maxTokens) continue;
+      add(passage);
+    }
+    // Even a budget too small for any passage gets the best one
+    if (chosen.size === 0 && this.passages.length > 0) {
+      add(ranked[0] || this.passages[0]);
+    }
+
+    return [...selected.entries()].map(([contentIndex, passages]) => ({
+      ...this.contents[contentIndex],
+      text: passages
+        .sort((a, b) => a.position - b.position)
+        .map((p) => p.text)
+        .join("\n\n[...]\n\n"),
+    }));
+  }
+}
+
+// The passage of a text that best matches a query, e.g. the excerpt of a
+// source that a paragraph draws on
+export function bestPassage(query, text, passageTokens = 100) {
+  const index = new PassageIndex([{ text }], passageTokens);
+  const [best] = index.search(query);
+  return (best?.passage || index.passages[0])?.text || "";
+}
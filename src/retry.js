@@ -0,0 +1,113 @@
+// Retries with exponential backoff and jitter, for rate limits, overloaded
+// providers, malformed structured output and failed Apify runs
+
+import { setTimeout as sleep } from "timers/promises";
+
+export const RETRY_DEFAULTS = {
+  // Tries per call, including the first one
+  attempts: 4,
+  baseDelayMs: 1_000,
+  maxDelayMs: 30_000,
+};
+
+// HTTP statuses worth another try: timeouts, conflicts, rate limits and
+// failing or overloaded servers (529 is Anthropic's "overloaded")
+const TRANSIENT_STATUSES = [408, 409, 425, 429, 500, 502, 503, 504, 529];
+
+const TRANSIENT_CODES = [
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ETIMEDOUT",
+  "EAI_AGAIN",
+  "EPIPE",
+  "UND_ERR_CONNECT_TIMEOUT",
+  "UND_ERR_SOCKET",
+];
+
+// A model reply that doesn't match the stage's schema, even after repair
+export class StructuredOutputError extends Error {
+  constructor(stage, detail, usage) {
+    super(`The ${stage} response doesn't match its schema: ${detail}`);
+    this.name = "StructuredOutputError";
+    this.usage = usage;
+  }
+}
+
+// An Apify actor run that finished without succeeding
+export class ApifyRunError extends Error {
+  constructor(actorId, run) {
+    super(`The ${actorId} run ${run.id} finished ${run.status}`);
+    this.name = "ApifyRunError";
+    this.run = run;
+  }
+}
+
+// Whether trying the same call again could succeed
+export function isTransientError(error) {
+  if (!error || error.name === "AbortError") return false;
+  if (error instanceof StructuredOutputError) return true;
+  // Aborted runs were stopped on purpose, failed and timed out ones may pass
+  if (error instanceof ApifyRunError) return error.run.status !== "ABORTED";
+  // The AI SDK decides for its API call errors
+  if (typeof error.isRetryable === "boolean") return error.isRetryable;
+
+  const status = error.statusCode ?? error.status;
+  if (TRANSIENT_STATUSES.includes(status)) return true;
+  const code = error.code ?? error.cause?.code;
+  if (TRANSIENT_CODES.includes(code)) return true;
+  // Errors that wrap the last of several failures
+  return error.lastError ? isTransientError(error.lastError) : false;
+}
+
+// Milliseconds a rate-limited provider asked us to wait, if any
+function retryAfterMs(error) {
+  const value =
+    error.responseHeaders?.["retry-after"] ??
+    error.lastError?.responseHeaders?.["retry-after"];
+  if (!value) return 0;
+  const seconds = Number(value);
+  if (!isNaN(seconds)) return seconds * 1000;
+  const date = Date.parse(value);
+  return isNaN(date) ? 0 : Math.max(0, date - Date.now());
+}
+
+// Delay before retry number `attempt`: exponential, with half of it random so
+// parallel calls don't retry in lockstep
+export function backoffDelay(attempt, options = {}) {
+  const { baseDelayMs, maxDelayMs } = { ...RETRY_DEFAULTS, ...options };
+  const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+  return Math.round(delay / 2 + Math.random() * (delay / 2));
+}
+
+// Call fn(attempt) until it succeeds, retrying transient failures after a
+// backoff; onRetry(error, attempt, delayMs) is told before each wait. An
+// aborted signal stops the retries, and the wait
+export async function withRetries(fn, options = {}) {
+  const {
+    attempts,
+    baseDelayMs,
+    maxDelayMs,
+    signal,
+    onRetry = () => {},
+  } = { ...RETRY_DEFAULTS, ...options };
+
+  for (let attempt = 1; ; attempt++) {
+    signal?.throwIfAborted();
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= attempts || signal?.aborted || !isTransientError(error)) {
+        throw error;
+      }
+      const delay = Math.min(
+        maxDelayMs,
+        Math.max(
+          backoffDelay(attempt, { baseDelayMs, maxDelayMs }),
+          retryAfterMs(error)
+        )
+      );
+      onRetry(error, attempt, delay);
+      await sleep(delay, undefined, { signal });
+    }
+  }
+}
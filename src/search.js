@@ -0,0 +1,281 @@
+// Search providers, all returning results as { url, title, snippet, date, rank }
+
+import fs from "fs-extra";
+
+function toResult({ url, title, snippet, date, rank }) {
+  return {
+    url,
+    title: title || url,
+    snippet: snippet || "",
+    date: date || null,
+    rank: rank ?? null,
+  };
+}
+
+// apify/google-search-scraper
+export class GoogleSearchProvider {
+  constructor(runActor) {
+    this.runActor = runActor;
+  }
+
+  async search(queries, { locale, depth }) {
+    const [languageCode, countryCode] = locale.split("-");
+    const items = await this.runActor(
+      "apify/google-search-scraper",
+      {
+        queries: queries.join("\n"),
+        // google uses iw for hebrew
+        languageCode: languageCode === "he" ? "iw" : languageCode,
+        countryCode: countryCode.toLowerCase(),
+        resultsPerPage: depth,
+        maxPagesPerQuery: 1,
+      },
+      queries.length
+    );
+
+    return items.flatMap((item) =>
+      (item.organicResults || []).map((r) =>
+        toResult({
+          url: r.url,
+          title: r.title,
+          snippet: r.description,
+          date: r.date,
+          rank: r.position,
+        })
+      )
+    );
+  }
+}
+
+// Any other Apify search actor, with configurable input and result fields
+export class ApifyActorSearchProvider {
+  constructor(runActor, options) {
+    if (!options.actor) {
+      throw new Error("The apify search provider needs an actor id");
+    }
+    this.runActor = runActor;
+    this.actor = options.actor;
+    this.input = options.input || {};
+    this.queriesField = options.queriesField || "queries";
+    this.joinQueries = options.joinQueries ?? true;
+    this.maxResultsField = options.maxResultsField || null;
+    this.resultsField = options.resultsField || null;
+    this.fields = {
+      url: "url",
+      title: "title",
+      snippet: "description",
+      date: "date",
+      rank: "position",
+      ...options.fields,
+    };
+  }
+
+  async search(queries, { depth }) {
+    const items = await this.runActor(
+      this.actor,
+      {
+        ...this.input,
+        [this.queriesField]: this.joinQueries ? queries.join("\n") : queries,
+        ...(this.maxResultsField && { [this.maxResultsField]: depth }),
+      },
+      queries.length * depth
+    );
+
+    // Results are either the dataset items or nested in a field of each item
+    const results = this.resultsField
+      ? items.flatMap((item) => item[this.resultsField] || [])
+      : items;
+
+    return results
+      .filter((r) => r[this.fields.url])
+      .map((r, i) =>
+        toResult({
+          url: r[this.fields.url],
+          title: r[this.fields.title],
+          snippet: r[this.fields.snippet],
+          date: r[this.fields.date],
+          rank: r[this.fields.rank] ?? i + 1,
+        })
+      );
+  }
+}
+
+// A SearXNG instance with the JSON format enabled
+export class SearxngSearchProvider {
+  constructor(options) {
+    if (!options.baseUrl) {
+      throw new Error("The searxng search provider needs a baseUrl");
+    }
+    this.baseUrl = options.baseUrl.replace(/\/$/, "");
+    this.timeoutSecs = options.timeoutSecs ?? 30;
+  }
+
+  // signal cancels the request in progress, besides the timeout
+  async search(queries, { locale, depth, signal }) {
+    const results = [];
+    for (const query of queries) {
+      const url = new URL(`${this.baseUrl}/search`);
+      url.searchParams.set("q", query);
+      url.searchParams.set("format", "json");
+      url.searchParams.set("language", locale);
+
+      let response;
+      try {
+        response = await fetch(url, {
+          signal: AbortSignal.any(
+            [AbortSignal.timeout(this.timeoutSecs * 1000), signal].filter(
+              Boolean
+            )
+          ),
+        });
+      } catch (error) {
+        if (error.name === "TimeoutError") {
+          throw new Error(
+            `SearXNG search timed out for "${query}" after ${this.timeoutSecs}s`
+          );
+        }
+        throw error;
+      }
+      if (!response.ok) {
+        throw new Error(
+          `SearXNG search failed for "${query}": ${response.status} ${response.statusText}`
+        );
+      }
+      const data = await response.json();
+
+      results.push(
+        ...(data.results || []).slice(0, depth).map((r, i) =>
+          toResult({
+            url: r.url,
+            title: r.title,
+            snippet: r.content,
+            date: r.publishedDate,
+            rank: i + 1,
+          })
+        )
+      );
+    }
+    return results;
+  }
+}
+
+// A fixed list of URLs from a file, one per line or a JSON array
+export class UrlListSearchProvider {
+  constructor(options) {
+    if (!options.file) {
+      throw new Error("The urls search provider needs a file");
+    }
+    this.file = options.file;
+  }
+
+  async search() {
+    const text = await fs.readFile(this.file, "utf8");
+    const entries = this.file.endsWith(".json")
+      ? JSON.parse(text)
+      : text
+          .split("\n")
+          .map((line) => line.trim())
+          .filter((line) => line && !line.startsWith("#"));
+
+    return entries.map((entry, i) =>
+      toResult(
+        typeof entry === "string"
+          ? { url: entry, rank: i + 1 }
+          : { rank: i + 1, ...entry }
+      )
+    );
+  }
+}
+
+// Deterministic offline results for tests, optionally from a fixtures file
+// mapping each query to its results. It also crawls its results offline: a
+// fixture's text, or a page made from its title and snippet
+export class FakeSearchProvider {
+  constructor(options = {}) {
+    this.fixtures = options.fixtures || null;
+    // Results found so far and the fixtures' page texts, by URL
+    this.results = new Map();
+    this.texts = new Map();
+  }
+
+  async readFixtures() {
+    const fixtures = this.fixtures ? await fs.readJSON(this.fixtures) : {};
+    for (const r of Object.values(fixtures).flat()) {
+      if (r.text) this.texts.set(r.url, r.text);
+    }
+    return fixtures;
+  }
+
+  async search(queries, { depth }) {
+    const fixtures = await this.readFixtures();
+
+    const results = queries.flatMap((query) => {
+      if (fixtures[query]) {
+        return fixtures[query].map((r, i) => toResult({ rank: i + 1, ...r }));
+      }
+
+      const slug = query
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]+/gu, "-")
+        .replace(/(^-|-$)/g, "");
+      return Array.from({ length: depth }, (_, i) =>
+        toResult({
+          url: `https://example.com/${slug}/${i + 1}`,
+          title: `${query} (${i + 1})`,
+          snippet: `Result ${i + 1} for ${query}`,
+          rank: i + 1,
+        })
+      );
+    });
+    for (const result of results) {
+      this.results.set(result.url, result);
+    }
+    return results;
+  }
+
+  // Pages in the website content crawler's shape, without any requests.
+  // Resumed runs crawl without searching again, from the results they saved
+  async crawl(urls, results = this.results) {
+    if (this.texts.size === 0) {
+      await this.readFixtures();
+    }
+    return urls.map((url) => {
+      const result = results.get(url);
+      const title = result?.title || url;
+      const text =
+        this.texts.get(url) ||
+        [
+          title,
+          result?.snippet || `Offline page for ${url}.`,
+          ...Array.from(
+            { length: 5 },
+            (_, i) =>
+              `Paragraph ${
+                i + 1
+              } of the offline page about ${title}, with enough text to pass the source quality checks in tests.`
+          ),
+        ].join("\n\n");
+      return { url, text, metadata: { title } };
+    });
+  }
+}
+
+export const searchProviders = ["google", "apify", "searxng", "urls", "fake"];
+
+// Build the provider named in the search config (google by default)
+export function createSearchProvider(options = {}, runActor) {
+  switch (options.provider || "google") {
+    case "google":
+      return new GoogleSearchProvider(runActor);
+    case "apify":
+      return new ApifyActorSearchProvider(runActor, options);
+    case "searxng":
+      return new SearxngSearchProvider(options);
+    case "urls":
+      return new UrlListSearchProvider(options);
+    case "fake":
+      return new FakeSearchProvider(options);
+    default:
+      throw new Error(`Unsupported search provider: ${options.provider}`);
+  }
+}
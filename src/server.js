@@ -0,0 +1,502 @@
+// Server mode: a REST API to submit research jobs to a bounded queue, follow
+// their progress over Server-Sent Events, cancel them and download reports
+
+import http from "http";
+import path from "path";
+import { EventEmitter } from "events";
+import fs from "fs-extra";
+import {
+  ResearchRun,
+  getJobModels,
+  getMissingCredentials,
+  needsApify,
+} from "./pipeline.js";
+import { REPORT_CONTENT_TYPES } from "./research.js";
+import { RunStore } from "./checkpoint.js";
+import { UsageError, resolveJob } from "./cli.js";
+import { isUrl } from "./sources.js";
+
+export const SERVER_DEFAULTS = {
+  host: "127.0.0.1",
+  port: 3000,
+  // Jobs researched at the same time
+  maxJobs: 2,
+  // Jobs waiting for a free slot before new ones are turned away
+  maxQueued: 20,
+};
+
+// Job options clients may set. Local sources, source lists and search
+// provider settings would reach into the server, so they stay in its config
+export const CLIENT_JOB_OPTIONS = [
+  "subject",
+  "model",
+  "stageModels",
+  "fallbackModel",
+  "breadth",
+  "depth",
+  "locale",
+  "rounds",
+  "concurrency",
+  "overflow",
+  "retrieval",
+  "retrievalTokens",
+  "verify",
+  "quality",
+  "sources",
+  "answers",
+  "skipFollowups",
+  "maxCostUsd",
+  "maxTokens",
+  "budgetPolicy",
+];
+
+// Finished jobs kept for status requests and downloads
+const KEPT_JOBS = 100;
+
+// Events kept per job, replayed to clients that connect late
+const KEPT_EVENTS = 1000;
+
+const MAX_BODY_BYTES = 1_000_000;
+
+// SSE comments that keep idle connections open through proxies
+const KEEPALIVE_MS = 15_000;
+
+const FINISHED = [
+  "success",
+  "partial",
+  "budget_exceeded",
+  "failed",
+  "cancelled",
+];
+
+// Validate the serve command's flags, over the config's "server" settings
+export function resolveServerOptions(flags = {}, config = {}) {
+  const options = { ...SERVER_DEFAULTS, ...config.server };
+  for (const name of ["host", "port", "maxJobs", "maxQueued"]) {
+    if (flags[name] !== undefined) {
+      options[name] = flags[name];
+    }
+  }
+
+  const port = Number(options.port);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new UsageError(`Invalid port: ${options.port}`);
+  }
+  const maxJobs = Number(options.maxJobs);
+  if (!Number.isInteger(maxJobs) || maxJobs < 1 || maxJobs > 10) {
+    throw new UsageError("--max-jobs must be a number between 1 and 10");
+  }
+  const maxQueued = Number(options.maxQueued);
+  if (!Number.isInteger(maxQueued) || maxQueued < 0) {
+    throw new UsageError("--max-queued must be 0 or more");
+  }
+  return { host: String(options.host), port, maxJobs, maxQueued };
+}
+
+class HttpError extends Error {
+  constructor(statusCode, message) {
+    super(message);
+    this.name = "HttpError";
+    this.statusCode = statusCode;
+  }
+}
+
+// Research jobs, run up to maxJobs at a time in the order they came in.
+// Emits "job" with a job whenever its status changes
+export class JobQueue extends EventEmitter {
+  constructor(config, options = {}) {
+    super();
+    this.config = config;
+    const { maxJobs, maxQueued } = { ...SERVER_DEFAULTS, ...options };
+    this.maxJobs = maxJobs;
+    this.maxQueued = maxQueued;
+    this.runsDir = options.runsDir || "runs";
+    this.outputDir = options.outputDir || config.output_dir || "reports";
+    this.jobs = new Map();
+    this.queued = [];
+    this.running = new Set();
+    // Accepted jobs whose run directories are still being created
+    this.accepting = 0;
+  }
+
+  // Validate a client's job and queue it
+  async submit(body) {
+    if (!body || typeof body !== "object" || Array.isArray(body)) {
+      throw new HttpError(400, "The job must be a JSON object");
+    }
+    const unsupported = Object.keys(body).filter(
+      (key) => !CLIENT_JOB_OPTIONS.includes(key)
+    );
+    if (unsupported.length > 0) {
+      throw new HttpError(
+        400,
+        `Unsupported job options: ${unsupported.join(", ")}`
+      );
+    }
+    if (body.sources !== undefined && !Array.isArray(body.sources)) {
+      throw new HttpError(400, "sources must be an array of URLs");
+    }
+    if ((body.sources || []).some((source) => !isUrl(source))) {
+      throw new HttpError(400, "Only URLs can be given as sources");
+    }
+    // Without answers there's nobody to ask the follow-up questions
+    const answers = body.answers || [];
+    let job;
+    try {
+      job = await resolveJob(
+        { skipFollowups: answers.length === 0, ...body },
+        {},
+        this.config
+      );
+    } catch (error) {
+      if (error instanceof UsageError) {
+        throw new HttpError(400, error.message);
+      }
+      throw error;
+    }
+    const missing = getMissingCredentials(this.config, getJobModels(job), {
+      apify: needsApify(job),
+    });
+    if (missing.length > 0) {
+      throw new HttpError(
+        400,
+        `The server is missing credentials: ${missing.join(", ")}`
+      );
+    }
+
+    // A free slot takes the job right away, even with --max-queued 0. Jobs
+    // still being accepted hold their place, so parallel requests can't
+    // overfill the queue
+    if (
+      this.running.size + this.queued.length + this.accepting >=
+      this.maxJobs + this.maxQueued
+    ) {
+      throw new HttpError(503, "The job queue is full, try again later");
+    }
+
+    this.accepting++;
+    let store;
+    try {
+      store = await RunStore.create(job, this.runsDir);
+    } finally {
+      this.accepting--;
+    }
+    const record = {
+      id: store.runId,
+      job,
+      store,
+      status: "queued",
+      stages: new Map(),
+      stats: null,
+      error: null,
+      paths: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      events: [],
+      listeners: new Set(),
+      controller: new AbortController(),
+    };
+    this.jobs.set(record.id, record);
+    this.queued.push(record);
+    this.setStatus(record, "queued");
+    this.prune();
+    this.next();
+    return record;
+  }
+
+  get(id) {
+    const record = this.jobs.get(id);
+    if (!record) {
+      throw new HttpError(404, `No job found with id ${id}`);
+    }
+    return record;
+  }
+
+  list() {
+    return [...this.jobs.values()];
+  }
+
+  // Cancel a queued job, or abort a running one and its Apify run
+  cancel(id) {
+    const record = this.get(id);
+    if (FINISHED.includes(record.status)) {
+      throw new HttpError(409, `The job already finished: ${record.status}`);
+    }
+    if (record.status === "queued") {
+      this.queued.splice(this.queued.indexOf(record), 1);
+      record.finishedAt = new Date().toISOString();
+      this.setStatus(record, "cancelled");
+    } else {
+      record.controller.abort();
+    }
+    return record;
+  }
+
+  // Follow a job's events, starting with the ones it already emitted.
+  // Returns a function that stops following
+  subscribe(id, listener) {
+    const record = this.get(id);
+    record.events.forEach(listener);
+    if (FINISHED.includes(record.status)) {
+      return () => {};
+    }
+    record.listeners.add(listener);
+    return () => record.listeners.delete(listener);
+  }
+
+  // Cancel every job and wait for the running ones to stop
+  async close() {
+    for (const record of [...this.queued]) {
+      this.cancel(record.id);
+    }
+    const running = [...this.running];
+    running.forEach((record) => record.controller.abort());
+    await Promise.all(running.map((record) => record.done));
+  }
+
+  next() {
+    while (this.running.size < this.maxJobs && this.queued.length > 0) {
+      const record = this.queued.shift();
+      this.running.add(record);
+      record.done = this.run(record).finally(() => {
+        this.running.delete(record);
+        this.next();
+      });
+    }
+  }
+
+  async run(record) {
+    record.startedAt = new Date().toISOString();
+    this.setStatus(record, "running");
+
+    const run = new ResearchRun({
+      config: this.config,
+      store: record.store,
+      signal: record.controller.signal,
+      // Jobs on the same subject don't overwrite each other's reports
+      outputDir: path.join(this.outputDir, record.id),
+    });
+    run.on("event", (event) => {
+      if (event.type === "stage:start" && event.message) {
+        record.stages.set(event.stage, event.message);
+      } else if (event.type === "stage:end") {
+        record.stages.delete(event.stage);
+      } else if (event.type === "cost") {
+        record.stats = event.stats;
+      }
+      this.publish(record, event);
+    });
+
+    let status;
+    try {
+      const result = await run.start();
+      status = result.status;
+      record.paths = result.paths || null;
+    } catch (error) {
+      status = record.controller.signal.aborted ? "cancelled" : "failed";
+      if (status === "failed") {
+        record.error = error.message;
+      }
+    }
+    record.stats = { ...run.stats };
+    record.stages.clear();
+    record.finishedAt = new Date().toISOString();
+    this.setStatus(record, status);
+    record.listeners.clear();
+  }
+
+  setStatus(record, status) {
+    record.status = status;
+    this.publish(record, {
+      type: "status",
+      status,
+      ...(record.error && { error: record.error }),
+    });
+    this.emit("job", record);
+  }
+
+  publish(record, event) {
+    record.events.push(event);
+    if (record.events.length > KEPT_EVENTS) {
+      record.events.shift();
+    }
+    record.listeners.forEach((listener) => listener(event));
+  }
+
+  // Forget the oldest finished jobs past KEPT_JOBS
+  prune() {
+    const finished = this.list().filter((record) =>
+      FINISHED.includes(record.status)
+    );
+    for (const record of finished.slice(
+      0,
+      Math.max(0, this.jobs.size - KEPT_JOBS)
+    )) {
+      this.jobs.delete(record.id);
+    }
+  }
+}
+
+// A job as clients see it
+export function describeJob(queue, record) {
+  const stages = [...record.stages.values()];
+  return {
+    id: record.id,
+    subject: record.job.subject,
+    model: record.job.model,
+    status: record.status,
+    ...(record.status === "queued" && {
+      position: queue.queued.indexOf(record) + 1,
+    }),
+    stage: stages.at(-1) || null,
+    stats: record.stats,
+    error: record.error,
+    files: Object.fromEntries(
+      Object.keys(record.paths || {}).map((format) => [
+        format,
+        `/jobs/${record.id}/files/${format}`,
+      ])
+    ),
+    createdAt: record.createdAt,
+    startedAt: record.startedAt,
+    finishedAt: record.finishedAt,
+  };
+}
+
+// HTTP routes:
+//   POST /jobs                      submit a job, 202 with the job
+//   GET  /jobs                      list jobs
+//   GET  /jobs/:id                  a job's status, stage, costs and files
+//   GET  /jobs/:id/events           its progress as Server-Sent Events
+//   POST /jobs/:id/cancel           cancel it
+//   GET  /jobs/:id/files/:format    download a report: markdown, html, ...
+export function createServer(queue) {
+  return http.createServer(async (req, res) => {
+    try {
+      await route(queue, req, res);
+    } catch (error) {
+      const statusCode = error instanceof HttpError ? error.statusCode : 500;
+      if (res.headersSent) {
+        res.end();
+        return;
+      }
+      sendJson(res, statusCode, { error: error.message });
+    }
+  });
+}
+
+async function route(queue, req, res) {
+  const { pathname } = new URL(req.url, "http://localhost");
+  const [root, id, action, format, ...rest] = pathname
+    .split("/")
+    .filter(Boolean);
+  if (root !== "jobs" || rest.length > 0) {
+    throw new HttpError(404, "Not found");
+  }
+
+  if (!id) {
+    if (req.method === "POST") {
+      const record = await queue.submit(await readJson(req));
+      sendJson(res, 202, describeJob(queue, record));
+    } else if (req.method === "GET") {
+      sendJson(
+        res,
+        200,
+        queue.list().map((record) => describeJob(queue, record))
+      );
+    } else {
+      throw new HttpError(405, "Method not allowed");
+    }
+    return;
+  }
+
+  if (!action && req.method === "GET") {
+    sendJson(res, 200, describeJob(queue, queue.get(id)));
+  } else if (action === "events" && !format && req.method === "GET") {
+    streamEvents(queue, id, req, res);
+  } else if (action === "cancel" && !format && req.method === "POST") {
+    sendJson(res, 202, describeJob(queue, queue.cancel(id)));
+  } else if (action === "files" && format && req.method === "GET") {
+    await sendFile(queue.get(id), format, res);
+  } else {
+    throw new HttpError(404, "Not found");
+  }
+}
+
+function streamEvents(queue, id, req, res) {
+  // Look the job up before the headers go out, so a 404 is still possible
+  queue.get(id);
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+
+  let unsubscribe = () => {};
+  const keepalive = setInterval(
+    () => res.write(": keepalive\n\n"),
+    KEEPALIVE_MS
+  );
+  const stop = () => {
+    clearInterval(keepalive);
+    unsubscribe();
+    res.end();
+  };
+  unsubscribe = queue.subscribe(id, (event) => {
+    res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    if (event.type === "status" && FINISHED.includes(event.status)) {
+      // Listeners are called while the job is being notified
+      setImmediate(stop);
+    }
+  });
+  req.on("close", stop);
+}
+
+async function sendFile(record, format, res) {
+  const file = record.paths?.[format];
+  if (!file) {
+    throw new HttpError(404, `No ${format} report for job ${record.id}`);
+  }
+  if (!(await fs.pathExists(file))) {
+    throw new HttpError(410, `The ${format} report was removed`);
+  }
+  res.writeHead(200, {
+    "Content-Type": REPORT_CONTENT_TYPES[format] || "application/octet-stream",
+    "Content-Disposition": contentDisposition(path.basename(file)),
+  });
+  fs.createReadStream(file).pipe(res);
+}
+
+// An attachment header for any file name: a plain ASCII one for old clients
+// and the UTF-8 one (RFC 6266) for the rest
+function contentDisposition(name) {
+  const fallback = name.replace(/[^\x20-\x7e]|["\\]/g, "_");
+  const encoded = encodeURIComponent(name).replace(
+    /['()*]/g,
+    (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`
+  );
+  return `attachment; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+}
+
+function sendJson(res, statusCode, body) {
+  res.writeHead(statusCode, { "Content-Type": "application/json" });
+  res.end(`${JSON.stringify(body)}\n`);
+}
+
+async function readJson(req) {
+  let size = 0;
+  const chunks = [];
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw new HttpError(413, "The job is too large");
+    }
+    chunks.push(chunk);
+  }
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString("utf8"));
+  } catch {
+    throw new HttpError(400, "The job must be valid JSON");
+  }
+}
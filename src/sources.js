@@ -0,0 +1,96 @@
+// Local files and folders read into the crawler's { url, text, metadata } shape
+
+import fs from "fs-extra";
+import path from "path";
+import { pathToFileURL } from "url";
+import { extractText, getDocumentProxy, getMeta } from "unpdf";
+
+export const LOCAL_EXTENSIONS = [
+  ".md",
+  ".markdown",
+  ".txt",
+  ".text",
+  ".html",
+  ".htm",
+  ".pdf",
+];
+
+export function isUrl(value) {
+  return /^https?:\/\//i.test(value);
+}
+
+// URLs and paths from a list file, one per line, # for comments
+export async function readSourceList(file) {
+  return (await fs.readFile(file, "utf8"))
+    .split("\n")
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith("#"));
+}
+
+// Supported files under a path, skipping hidden entries
+export async function listLocalFiles(target) {
+  const stat = await fs.stat(target);
+  if (!stat.isDirectory()) {
+    return [target];
+  }
+
+  const files = [];
+  for (const entry of (await fs.readdir(target)).sort()) {
+    if (entry.startsWith(".") || entry === "node_modules") continue;
+    const entryPath = path.join(target, entry);
+    if ((await fs.stat(entryPath)).isDirectory()) {
+      files.push(...(await listLocalFiles(entryPath)));
+    } else if (LOCAL_EXTENSIONS.includes(path.extname(entry).toLowerCase())) {
+      files.push(entryPath);
+    }
+  }
+  return files;
+}
+
+function htmlToText(html) {
+  return html
+    .replace(/<(head|script|style|noscript)[^>]*>[\s\S]*?<\/\1>/gi, "")
+    .replace(/<\/(p|div|h[1-6]|li|tr|section|article)>|<br\s*\/?>/gi, "\n")
+    .replace(/<[^>]+>/g, "")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, "&")
+    .replace(/[ \t]+/g, " ")
+    .replace(/\n\s*\n+/g, "\n\n");
+}
+
+// A local file as a crawled content, titled by its metadata, first heading or
+// file name
+export async function readLocalFile(file) {
+  const extension = path.extname(file).toLowerCase();
+  if (!LOCAL_EXTENSIONS.includes(extension)) {
+    throw new Error(`Unsupported file type ${extension || "(none)"}`);
+  }
+
+  let text;
+  let title;
+  if (extension === ".pdf") {
+    const pdf = await getDocumentProxy(new Uint8Array(await fs.readFile(file)));
+    ({ text } = await extractText(pdf, { mergePages: true }));
+    title = (await getMeta(pdf)).info?.Title;
+  } else if (extension === ".html" || extension === ".htm") {
+    const html = await fs.readFile(file, "utf8");
+    title = /<title[^>]*>([^<]*)<\/title>/i.exec(html)?.[1];
+    text = htmlToText(html);
+  } else {
+    text = await fs.readFile(file, "utf8");
+    title = /^#\s+(.+)$/m.exec(text)?.[1];
+  }
+
+  return {
+    url: pathToFileURL(path.resolve(file)).href,
+    text: text.trim(),
+    metadata: {
+      title: title?.trim() || path.basename(file),
+      path: path.relative(process.cwd(), path.resolve(file)),
+    },
+  };
+}
@@ -1,7 +1,7 @@
 // Simple tokenizer utility based on GPT-3 tokenizer approximation
 // This is a rough estimate - actual token counts may vary by model
 
-import { encode } from "gpt-tokenizer";
+import { encode, decode } from "gpt-tokenizer";
 
 export function estimateTokens(text) {
   if (!text) return 0;
@@ -36,3 +36,96 @@ export function truncateContentsToFit(prompt, contents, contextWindow) {
 
   return truncatedContents;
 }
+
+// Cut text down to at most maxTokens
+export function truncateToTokens(text, maxTokens) {
+  const tokens = encode(text);
+  if (tokens.length <= maxTokens) return text;
+  return decode(tokens.slice(0, maxTokens));
+}
+
+// Split text into chunks of at most maxTokens, on paragraph boundaries where possible
+export function chunkText(text, maxTokens) {
+  if (estimateTokens(text) <= maxTokens) return [text];
+
+  const chunks = [];
+  let current = [];
+  let currentTokens = 0;
+  const flush = () => {
+    if (current.length > 0) {
+      chunks.push(current.join("\n\n"));
+      current = [];
+      currentTokens = 0;
+    }
+  };
+
+  for (const paragraph of text.split(/\n{2,}/)) {
+    const tokens = encode(paragraph);
+
+    // Hard-split paragraphs that are too long on their own
+    if (tokens.length > maxTokens) {
+      flush();
+      for (let i = 0; i < tokens.length; i += maxTokens) {
+        chunks.push(decode(tokens.slice(i, i + maxTokens)));
+      }
+      continue;
+    }
+
+    if (currentTokens + tokens.length > maxTokens) {
+      flush();
+    }
+    current.push(paragraph);
+    currentTokens += tokens.length;
+  }
+  flush();
+
+  return chunks;
+}
+
+// Largest per-source token share that lets all sources fit in the available tokens
+function fairShare(sizes, available) {
+  const sorted = [...sizes].sort((a, b) => a - b);
+  let remaining = available;
+  for (let i = 0; i < sorted.length; i++) {
+    const share = remaining / (sorted.length - i);
+    if (sorted[i] > share) return Math.floor(share);
+    remaining -= sorted[i];
+  }
+  return Infinity;
+}
+
+// Decide which contents go in whole, which must be condensed (and to how many
+// tokens) and which don't fit at all, keeping their original order
+export function planContentsToFit(
+  prompt,
+  contents,
+  contextWindow,
+  minTokens = 500
+) {
+  // Room for the <contentN> tags around each content
+  const overhead = 10;
+  const available = contextWindow - estimateTokens(prompt);
+  const sizes = contents.map((c) => estimateTokens(c.text));
+
+  let keptCount = contents.length;
+  let share = 0;
+  while (keptCount > 0) {
+    share = fairShare(
+      sizes.slice(0, keptCount),
+      available - keptCount * overhead
+    );
+    const needsCondensing = sizes
+      .slice(0, keptCount)
+      .some((size) => size > share);
+    if (share >= minTokens || !needsCondensing) break;
+    keptCount--;
+  }
+
+  const kept = contents.slice(0, keptCount).map((content, i) => ({
+    content,
+    condense: sizes[i] > share,
+    targetTokens: Math.min(sizes[i], share),
+  }));
+
+  return { kept, excluded: contents.slice(keptCount) };
+}
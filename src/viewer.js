@@ -0,0 +1,311 @@
+// Self-contained interactive HTML report: sidebar contents, citation previews,
+// a filterable source list, dark mode and print styles, without any CDN assets
+
+import MarkdownIt from "markdown-it";
+import { hostnameOf } from "./quality.js";
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+const STYLES = `
+:root {
+  --text: #1f2328; --muted: #656d76; --background: #fff; --panel: #f6f8fa;
+  --border: #d0d7de; --link: #0969da; --highlight: #fff8c5; --flag: #9a6700;
+}
+:root.dark {
+  --text: #e6edf3; --muted: #8d96a0; --background: #0d1117; --panel: #161b22;
+  --border: #30363d; --link: #4493f8; --highlight: #3b2e00; --flag: #d29922;
+}
+* { box-sizing: border-box; }
+body { margin: 0; color: var(--text); background: var(--background); font-family: -apple-system, system-ui, sans-serif; line-height: 1.6; }
+a { color: var(--link); }
+.layout { display: grid; grid-template-columns: 260px minmax(0, 1fr); max-width: 1200px; margin: 0 auto; }
+nav.toc { position: sticky; top: 0; align-self: start; max-height: 100vh; overflow-y: auto; padding: 24px 16px; border-inline-end: 1px solid var(--border); font-size: 0.9em; }
+nav.toc ol { padding-inline-start: 1.2em; }
+nav.toc a { text-decoration: none; }
+nav.toc a.active { font-weight: 600; }
+.toolbar { display: flex; gap: 8px; margin-bottom: 16px; }
+button { font: inherit; color: var(--text); background: var(--panel); border: 1px solid var(--border); border-radius: 6px; padding: 4px 10px; cursor: pointer; }
+main { padding: 24px 40px; max-width: 860px; }
+h1, h2 { border-bottom: 1px solid var(--border); padding-bottom: .3em; }
+h2 { scroll-margin-top: 1em; }
+.meta, .summary, .abstract, .conclusions, .quality { color: var(--muted); font-style: italic; }
+.flag { color: var(--flag); font-style: italic; white-space: nowrap; }
+sup a.cite { text-decoration: none; padding: 0 2px; }
+.preview { position: absolute; z-index: 10; max-width: 420px; padding: 12px 14px; background: var(--panel); border: 1px solid var(--border); border-radius: 8px; box-shadow: 0 8px 24px rgba(0,0,0,.2); font-size: 0.9em; }
+.preview[hidden] { display: none; }
+.preview .title { font-weight: 600; }
+.preview .site { color: var(--muted); }
+.preview blockquote { margin: 8px 0; padding-inline-start: 10px; border-inline-start: 3px solid var(--border); color: var(--muted); }
+#sources input { width: 100%; padding: 6px 10px; font: inherit; color: var(--text); background: var(--background); border: 1px solid var(--border); border-radius: 6px; }
+#sources li { margin: 0.5em 0; }
+#sources li:target { background: var(--highlight); }
+#sources .site, #excluded .reasons { color: var(--muted); }
+#excluded li { margin: 0.5em 0; }
+@media (max-width: 800px) {
+  .layout { grid-template-columns: 1fr; }
+  nav.toc { position: static; max-height: none; border-inline-end: 0; border-bottom: 1px solid var(--border); }
+  main { padding: 16px; }
+}
+@media print {
+  :root { --text: #000; --muted: #444; --background: #fff; --link: #000; }
+  .layout { display: block; }
+  nav.toc, .toolbar, .preview, #sources input { display: none !important; }
+  main { max-width: none; padding: 0; }
+  h2 { break-after: avoid; }
+  #sources li { display: list-item !important; }
+  #sources a.url::after { content: " (" attr(href) ")"; }
+}`;
+
+const SCRIPT = `
+(function () {
+  var root = document.documentElement;
+  var stored = localStorage.getItem("theme");
+  if (stored ? stored === "dark" : matchMedia("(prefers-color-scheme: dark)").matches) {
+    root.classList.add("dark");
+  }
+  document.getElementById("theme").addEventListener("click", function () {
+    var dark = root.classList.toggle("dark");
+    localStorage.setItem("theme", dark ? "dark" : "light");
+  });
+  document.getElementById("print").addEventListener("click", function () {
+    window.print();
+  });
+
+  // Citation previews on hover, pinned on click
+  var sources = JSON.parse(document.getElementById("source-data").textContent);
+  var preview = document.getElementById("preview");
+  var pinned = null;
+  function show(link) {
+    var source = sources[link.dataset.source];
+    if (!source) return;
+    preview.innerHTML = "";
+    function add(tag, className, text) {
+      var el = document.createElement(tag);
+      el.className = className;
+      el.textContent = text;
+      preview.appendChild(el);
+      return el;
+    }
+    add("div", "title", "(" + link.dataset.source + ") " + source.title);
+    if (source.siteName) add("div", "site", source.siteName);
+    if (link.dataset.excerpt) add("blockquote", "", link.dataset.excerpt);
+    var open = add("a", "", source.url);
+    open.href = source.url;
+    open.target = "_blank";
+    open.rel = "noopener";
+    preview.hidden = false;
+    var rect = link.getBoundingClientRect();
+    var left = Math.min(rect.left + scrollX, scrollX + document.documentElement.clientWidth - preview.offsetWidth - 8);
+    preview.style.left = Math.max(8, left) + "px";
+    preview.style.top = rect.bottom + scrollY + 6 + "px";
+  }
+  function hide() {
+    if (!pinned) preview.hidden = true;
+  }
+  document.querySelectorAll("a.cite").forEach(function (link) {
+    link.addEventListener("mouseenter", function () { if (!pinned) show(link); });
+    link.addEventListener("mouseleave", hide);
+    link.addEventListener("click", function (event) {
+      event.preventDefault();
+      pinned = pinned === link ? null : link;
+      if (pinned) show(link); else preview.hidden = true;
+    });
+  });
+  document.addEventListener("click", function (event) {
+    if (pinned && !preview.contains(event.target) && !event.target.closest("a.cite")) {
+      pinned = null;
+      preview.hidden = true;
+    }
+  });
+  document.addEventListener("keydown", function (event) {
+    if (event.key === "Escape") { pinned = null; preview.hidden = true; }
+  });
+
+  // Source list filter
+  var filter = document.getElementById("filter");
+  filter.addEventListener("input", function () {
+    var query = filter.value.toLowerCase();
+    document.querySelectorAll("#sources li").forEach(function (item) {
+      item.style.display = item.textContent.toLowerCase().indexOf(query) === -1 ? "none" : "";
+    });
+  });
+
+  // Highlight the chapter being read in the sidebar
+  var links = {};
+  document.querySelectorAll("nav.toc a").forEach(function (a) {
+    links[a.getAttribute("href").slice(1)] = a;
+  });
+  var observer = new IntersectionObserver(function (entries) {
+    entries.forEach(function (entry) {
+      if (!entry.isIntersecting || !links[entry.target.id]) return;
+      Object.keys(links).forEach(function (id) { links[id].classList.remove("active"); });
+      links[entry.target.id].classList.add("active");
+    });
+  }, { rootMargin: "0px 0px -70% 0px" });
+  document.querySelectorAll("h2[id]").forEach(function (h) { observer.observe(h); });
+})();`;
+
+// citationQuality is the formatted summary line, if paragraphs were verified
+export function renderHtml(
+  report,
+  { rtl = false, citationQuality = null } = {}
+) {
+  const md = new MarkdownIt({
+    html: true,
+    breaks: true,
+    linkify: true,
+    typographer: true,
+  });
+  const inline = (text) => md.renderInline(text || "");
+
+  const sourceData = Object.fromEntries(
+    report.sources.map((s) => [
+      s.id,
+      { title: s.title, url: s.url, siteName: s.path || s.siteName },
+    ])
+  );
+
+  const chapters = report.chapters.map((chapter) => {
+    const paragraphs = chapter.paragraphs.map((para) => {
+      const cites = para.sources
+        .map(
+          (id, i) =>
+            `<sup><a class="cite" href="#source-${id}" data-source="${id}" data-excerpt="${escapeHtml(
+              para.excerpts?.[i] || ""
+            )}">${id}</a></sup>`
+        )
+        .join("");
+      const flag = para.flag
+        ? ` <span class="flag">(${escapeHtml(para.flag)})</span>`
+        : "";
+      return `<p>${inline(para.text)}${cites}${flag}</p>`;
+    });
+
+    return `<section>
+<h2 id="chapter-${chapter.number}">${escapeHtml(
+      `${chapter.number}. ${chapter.title}`
+    )}</h2>
+<p class="summary">${inline(chapter.summary)}</p>
+${paragraphs.join("\n")}
+</section>`;
+  });
+
+  const sources = report.sources
+    .map(
+      (s) =>
+        `<li id="source-${s.id}" value="${
+          s.id
+        }"><a class="url" href="${escapeHtml(s.url)}">${escapeHtml(
+          s.title
+        )}</a>${
+          s.path || s.siteName
+            ? ` <span class="site">${escapeHtml(s.path || s.siteName)}</span>`
+            : ""
+        }${
+          s.round && report.parameters.rounds > 1
+            ? ` <span class="site">(round ${s.round})</span>`
+            : ""
+        }${
+          s.alternates?.length
+            ? ` <span class="site">also at ${s.alternates
+                .map(
+                  (url) =>
+                    `<a href="${escapeHtml(url)}">${escapeHtml(
+                      hostnameOf(url) || url
+                    )}</a>`
+                )
+                .join(", ")}</span>`
+            : ""
+        }</li>`
+    )
+    .join("\n");
+
+  const excluded = (report.excludedSources || [])
+    .map(
+      (s) =>
+        `<li><a class="url" href="${escapeHtml(s.url)}">${escapeHtml(
+          s.title
+        )}</a> <span class="reasons">${escapeHtml(
+          s.reasons.join("; ")
+        )}</span></li>`
+    )
+    .join("\n");
+
+  // Keep the embedded JSON from closing the script element
+  const sourceJson = JSON.stringify(sourceData).replace(/</g, "\\u003c");
+
+  return `<!DOCTYPE html>
+<html lang="${report.parameters.locale}"${rtl ? ' dir="rtl"' : ""}>
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(report.subject)}</title>
+  <style>${STYLES}</style>
+</head>
+<body>
+<div class="layout">
+<nav class="toc">
+  <div class="toolbar">
+    <button id="theme" type="button">Dark mode</button>
+    <button id="print" type="button">Print</button>
+  </div>
+  <ol>
+${report.chapters
+  .map(
+    (c) =>
+      `    <li><a href="#chapter-${c.number}">${escapeHtml(c.title)}</a></li>`
+  )
+  .join("\n")}
+  </ol>
+  <a href="#sources-title">Sources (${report.sources.length})</a>
+${
+  excluded
+    ? `  <br><a href="#excluded-title">Excluded sources (${report.excludedSources.length})</a>\n`
+    : ""
+}</nav>
+<main>
+<h1>${escapeHtml(report.subject)}</h1>
+<p class="meta">Generated on ${
+    report.generatedAt.split("T")[0]
+  } by <a href="https://github.com/mluggy/apify-deep-research">apify-deep-research</a> (not for commercial use)</p>
+<p class="abstract">${inline(report.abstract)}</p>
+${chapters.join("\n")}
+<hr>
+<p class="conclusions">${inline(report.conclusions)}</p>
+${
+  citationQuality
+    ? `<p class="quality">${escapeHtml(citationQuality)}</p>\n`
+    : ""
+}<hr>
+<section id="sources">
+<h2 id="sources-title">Sources</h2>
+<input id="filter" type="search" placeholder="Filter sources" aria-label="Filter sources">
+<ol>
+${sources}
+</ol>
+</section>
+${
+  excluded
+    ? `<section id="excluded">
+<h2 id="excluded-title">Excluded Sources</h2>
+<ul>
+${excluded}
+</ul>
+</section>
+`
+    : ""
+}</main>
+</div>
+<div id="preview" class="preview" hidden></div>
+<script type="application/json" id="source-data">${sourceJson}</script>
+<script>${SCRIPT}</script>
+</body>
+</html>`;
+}
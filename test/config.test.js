@@ -0,0 +1,122 @@
+import { test, describe, before, after } from "node:test";
+import assert from "node:assert/strict";
+import os from "os";
+import path from "path";
+import fs from "fs-extra";
+import {
+  ConfigError,
+  LEGACY_CONFIG_PATH,
+  decryptSecrets,
+  describeConfig,
+  encryptSecrets,
+  loadConfig,
+  saveConfig,
+  unlockConfig,
+} from "../src/config.js";
+
+describe("encrypted keys", () => {
+  test("decrypt with the passphrase they were encrypted with", async () => {
+    const secrets = { openai_api_key: "sk-test" };
+    const encrypted = await encryptSecrets(secrets, "passphrase");
+    assert.ok(!JSON.stringify(encrypted).includes("sk-test"));
+    assert.deepEqual(await decryptSecrets(encrypted, "passphrase"), secrets);
+  });
+
+  test("fail with a wrong passphrase", async () => {
+    const encrypted = await encryptSecrets({ openai_api_key: "x" }, "right");
+    await assert.rejects(decryptSecrets(encrypted, "wrong"), (error) => {
+      assert.ok(error instanceof ConfigError);
+      assert.match(error.message, /Wrong passphrase/);
+      return true;
+    });
+  });
+});
+
+describe("config file", () => {
+  let dir;
+  let file;
+  let cwd;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), "config-test-"));
+    file = path.join(dir, "config.json");
+    // Keep a .env in the working directory out of the tests
+    cwd = process.cwd();
+    process.chdir(dir);
+  });
+
+  after(async () => {
+    process.chdir(cwd);
+    await fs.remove(dir);
+  });
+
+  test("doesn't save keys from the environment", async () => {
+    await fs.writeJSON(file, { locale: "he-IL", google_api_key: "stored" });
+    await fs.chmod(file, 0o644);
+    const config = await loadConfig({
+      DEEP_RESEARCH_CONFIG: file,
+      OPENAI_API_KEY: "from-env",
+      GOOGLE_API_KEY: "env-google",
+    });
+    assert.equal(config.openai_api_key, "from-env");
+    assert.equal(config.google_api_key, "env-google");
+    assert.equal(describeConfig(config).sources.openai_api_key, "environment");
+
+    await saveConfig(config);
+    assert.deepEqual(await fs.readJSON(file), {
+      locale: "he-IL",
+      google_api_key: "stored",
+    });
+    assert.equal((await fs.stat(file)).mode & 0o777, 0o600);
+  });
+
+  test("reads .env under the environment", async () => {
+    await fs.writeFile(".env", "OPENAI_API_KEY=from-dotenv\nXAI_API_KEY=xai");
+    const config = await loadConfig({
+      DEEP_RESEARCH_CONFIG: file,
+      OPENAI_API_KEY: "from-env",
+    });
+    await fs.remove(".env");
+    assert.equal(config.openai_api_key, "from-env");
+    assert.equal(config.xai_api_key, "xai");
+  });
+
+  test("stays locked until unlocked, and keeps its passphrase", async () => {
+    const env = { DEEP_RESEARCH_CONFIG: file };
+    const config = await loadConfig(env);
+    config.openai_api_key = "sk-saved";
+    await saveConfig(config, { passphrase: "secret" });
+    assert.ok(!(await fs.readFile(file, "utf8")).includes("sk-saved"));
+
+    const locked = await loadConfig(env);
+    assert.equal(locked.openai_api_key, undefined);
+    assert.equal(describeConfig(locked).locked, true);
+    await assert.rejects(saveConfig(locked), ConfigError);
+    await assert.rejects(unlockConfig(locked, "wrong"), ConfigError);
+
+    await unlockConfig(locked, "secret");
+    assert.equal(locked.openai_api_key, "sk-saved");
+    await saveConfig(locked);
+    assert.equal(describeConfig(await loadConfig(env)).encrypted, true);
+  });
+
+  // XDG_CONFIG_HOME only picks the user's directory outside Windows and macOS
+  const xdg = !["win32", "darwin"].includes(process.platform);
+  test(
+    "moves a legacy config to the user's directory",
+    { skip: !xdg },
+    async () => {
+      await fs.writeJSON(LEGACY_CONFIG_PATH, { openai_api_key: "sk-legacy" });
+      const env = { XDG_CONFIG_HOME: path.join(dir, "home") };
+      const config = await loadConfig(env);
+      assert.equal(describeConfig(config).file, LEGACY_CONFIG_PATH);
+
+      const { file: moved } = await saveConfig(config);
+      assert.ok(moved.startsWith(env.XDG_CONFIG_HOME));
+      assert.deepEqual(await fs.readJSON(moved), {
+        openai_api_key: "sk-legacy",
+      });
+      assert.equal(await fs.pathExists(LEGACY_CONFIG_PATH), false);
+    }
+  );
+});
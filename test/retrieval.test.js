@@ -0,0 +1,42 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { PassageIndex, bestPassage } from "../src/retrieval.js";
+
+const contents = [
+  { url: "https://a.com", text: "Solid-state batteries store more energy." },
+  { url: "https://b.com", text: "Charging networks keep growing." },
+];
+
+describe("PassageIndex", () => {
+  test("puts the sources matching the query first", () => {
+    const selected = new PassageIndex(contents).select("charging", 1000);
+    assert.deepEqual(
+      selected.map((c) => c.url),
+      ["https://b.com", "https://a.com"]
+    );
+  });
+
+  test("fills the budget with unranked passages in source order", () => {
+    const selected = new PassageIndex(contents).select("סוללות", 1000);
+    assert.deepEqual(
+      selected.map((c) => c.url),
+      ["https://a.com", "https://b.com"]
+    );
+    assert.equal(selected[0].text, contents[0].text);
+  });
+
+  test("keeps to the budget, but always gives some contents", () => {
+    const index = new PassageIndex(contents);
+    const tokens = index.passages[0].tokens;
+    assert.equal(index.select("batteries", tokens).length, 1);
+    assert.deepEqual(
+      index.select("batteries", 0).map((c) => c.url),
+      ["https://a.com"]
+    );
+    assert.deepEqual(new PassageIndex([]).select("batteries", 1000), []);
+  });
+});
+
+test("bestPassage falls back to the first passage", () => {
+  assert.equal(bestPassage("nothing", "Some text"), "Some text");
+});
@@ -0,0 +1,183 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import {
+  ApifyRunError,
+  StructuredOutputError,
+  backoffDelay,
+  isTransientError,
+  withRetries,
+} from "../src/retry.js";
+
+// An error with the given properties, like the ones HTTP clients throw
+function httpError(properties) {
+  return Object.assign(new Error("Request failed"), properties);
+}
+
+describe("isTransientError", () => {
+  test("retries rate limits, overloaded servers and network failures", () => {
+    for (const status of [408, 429, 500, 503, 529]) {
+      assert.equal(isTransientError(httpError({ statusCode: status })), true);
+    }
+    assert.equal(isTransientError(httpError({ status: 502 })), true);
+    assert.equal(isTransientError(httpError({ code: "ECONNRESET" })), true);
+    assert.equal(
+      isTransientError(httpError({ cause: { code: "UND_ERR_SOCKET" } })),
+      true
+    );
+    assert.equal(
+      isTransientError(new StructuredOutputError("outline", "no chapters")),
+      true
+    );
+  });
+
+  test("gives up on client errors, aborts and aborted Apify runs", () => {
+    for (const status of [400, 401, 403, 404]) {
+      assert.equal(isTransientError(httpError({ statusCode: status })), false);
+    }
+    assert.equal(isTransientError(new Error("Bad input")), false);
+    assert.equal(
+      isTransientError(new DOMException("Aborted", "AbortError")),
+      false
+    );
+    assert.equal(isTransientError(null), false);
+
+    const run = (status) => new ApifyRunError("a/b", { id: "run", status });
+    assert.equal(isTransientError(run("FAILED")), true);
+    assert.equal(isTransientError(run("TIMED-OUT")), true);
+    assert.equal(isTransientError(run("ABORTED")), false);
+  });
+
+  test("leaves the decision to the AI SDK's isRetryable", () => {
+    assert.equal(
+      isTransientError(httpError({ statusCode: 429, isRetryable: false })),
+      false
+    );
+    assert.equal(isTransientError(httpError({ isRetryable: true })), true);
+  });
+
+  test("looks at the last of several failures", () => {
+    assert.equal(
+      isTransientError(httpError({ lastError: httpError({ status: 503 }) })),
+      true
+    );
+    assert.equal(
+      isTransientError(httpError({ lastError: httpError({ status: 400 }) })),
+      false
+    );
+  });
+});
+
+test("backoffDelay doubles up to the maximum, with jitter", () => {
+  const options = { baseDelayMs: 100, maxDelayMs: 1_000 };
+  for (let i = 0; i < 20; i++) {
+    const first = backoffDelay(1, options);
+    assert.ok(first >= 50 && first <= 100);
+    const third = backoffDelay(3, options);
+    assert.ok(third >= 200 && third <= 400);
+    assert.ok(backoffDelay(10, options) <= 1_000);
+  }
+});
+
+describe("withRetries", () => {
+  const fast = { baseDelayMs: 1, maxDelayMs: 10 };
+
+  test("retries transient failures until one succeeds", async () => {
+    const retries = [];
+    const result = await withRetries(
+      async (attempt) => {
+        if (attempt < 3) throw httpError({ statusCode: 503 });
+        return attempt;
+      },
+      { ...fast, onRetry: (error, attempt) => retries.push(attempt) }
+    );
+    assert.equal(result, 3);
+    assert.deepEqual(retries, [1, 2]);
+  });
+
+  test("throws the last error after the given attempts", async () => {
+    let calls = 0;
+    await assert.rejects(
+      withRetries(
+        async () => {
+          calls++;
+          throw httpError({ statusCode: 429 });
+        },
+        { ...fast, attempts: 2 }
+      ),
+      { statusCode: 429 }
+    );
+    assert.equal(calls, 2);
+  });
+
+  test("doesn't retry permanent failures", async () => {
+    let calls = 0;
+    await assert.rejects(
+      withRetries(async () => {
+        calls++;
+        throw httpError({ statusCode: 401 });
+      }, fast),
+      { statusCode: 401 }
+    );
+    assert.equal(calls, 1);
+  });
+
+  test("waits as long as Retry-After asks, up to the maximum", async () => {
+    const delays = [];
+    const retry = (retryAfter, maxDelayMs) =>
+      withRetries(
+        async (attempt) => {
+          if (attempt === 1) {
+            throw httpError({
+              statusCode: 429,
+              responseHeaders: { "retry-after": retryAfter },
+            });
+          }
+        },
+        {
+          baseDelayMs: 1,
+          maxDelayMs,
+          onRetry: (error, attempt, delay) => delays.push(delay),
+        }
+      );
+
+    await retry("0.05", 1_000);
+    await retry(new Date(Date.now() + 60_000).toUTCString(), 20);
+    await retry("soon", 1_000);
+    assert.equal(delays[0], 50);
+    assert.equal(delays[1], 20);
+    assert.ok(delays[2] <= 1);
+  });
+
+  test("stops waiting when the signal aborts", async () => {
+    const controller = new AbortController();
+    let calls = 0;
+    const started = Date.now();
+    setTimeout(() => controller.abort(), 50);
+    await assert.rejects(
+      withRetries(
+        async () => {
+          calls++;
+          throw httpError({ statusCode: 503 });
+        },
+        { baseDelayMs: 10_000, maxDelayMs: 10_000, signal: controller.signal }
+      ),
+      { name: "AbortError" }
+    );
+    assert.equal(calls, 1);
+    assert.ok(Date.now() - started < 5_000);
+  });
+
+  test("doesn't start once the signal has aborted", async () => {
+    let calls = 0;
+    await assert.rejects(
+      withRetries(
+        async () => {
+          calls++;
+        },
+        { signal: AbortSignal.abort() }
+      ),
+      { name: "AbortError" }
+    );
+    assert.equal(calls, 0);
+  });
+});
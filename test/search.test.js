@@ -0,0 +1,339 @@
+import { test, describe, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import os from "os";
+import path from "path";
+import fs from "fs-extra";
+import {
+  GoogleSearchProvider,
+  ApifyActorSearchProvider,
+  SearxngSearchProvider,
+  UrlListSearchProvider,
+  FakeSearchProvider,
+  createSearchProvider,
+} from "../src/search.js";
+import { Research } from "../src/research.js";
+
+// A runActor stand-in that records its calls and returns the given items
+function fakeActor(items) {
+  const calls = [];
+  const runActor = async (actorId, input, expected) => {
+    calls.push({ actorId, input, expected });
+    return items;
+  };
+  return { runActor, calls };
+}
+
+describe("GoogleSearchProvider", () => {
+  test("maps organic results and the locale", async () => {
+    const { runActor, calls } = fakeActor([
+      {
+        organicResults: [
+          {
+            url: "https://a.com",
+            title: "A",
+            description: "About A",
+            position: 1,
+          },
+          { url: "https://b.com", position: 2 },
+        ],
+      },
+      {},
+    ]);
+    const results = await new GoogleSearchProvider(runActor).search(
+      ["one", "two"],
+      { locale: "he-IL", depth: 5 }
+    );
+
+    assert.equal(calls[0].actorId, "apify/google-search-scraper");
+    assert.equal(calls[0].input.queries, "one\ntwo");
+    assert.equal(calls[0].input.languageCode, "iw");
+    assert.equal(calls[0].input.countryCode, "il");
+    assert.equal(calls[0].input.resultsPerPage, 5);
+    assert.deepEqual(results, [
+      {
+        url: "https://a.com",
+        title: "A",
+        snippet: "About A",
+        date: null,
+        rank: 1,
+      },
+      {
+        url: "https://b.com",
+        title: "https://b.com",
+        snippet: "",
+        date: null,
+        rank: 2,
+      },
+    ]);
+  });
+});
+
+describe("ApifyActorSearchProvider", () => {
+  test("needs an actor", () => {
+    assert.throws(() => new ApifyActorSearchProvider(() => {}, {}), /actor/);
+  });
+
+  test("reads nested results through the field mapping", async () => {
+    const { runActor, calls } = fakeActor([
+      {
+        hits: [
+          { link: "https://a.com", name: "A" },
+          { name: "no link" },
+          { link: "https://b.com", name: "B", position: 7 },
+        ],
+      },
+    ]);
+    const provider = new ApifyActorSearchProvider(runActor, {
+      actor: "someone/search",
+      input: { safe: true },
+      queriesField: "terms",
+      joinQueries: false,
+      maxResultsField: "limit",
+      resultsField: "hits",
+      fields: { url: "link", title: "name" },
+    });
+    const results = await provider.search(["one", "two"], { depth: 3 });
+
+    assert.deepEqual(calls[0].input, {
+      safe: true,
+      terms: ["one", "two"],
+      limit: 3,
+    });
+    assert.equal(calls[0].expected, 6);
+    assert.deepEqual(
+      results.map((r) => [r.url, r.title, r.rank]),
+      [
+        ["https://a.com", "A", 1],
+        ["https://b.com", "B", 7],
+      ]
+    );
+  });
+});
+
+describe("SearxngSearchProvider", () => {
+  let server;
+  let baseUrl;
+  const requests = [];
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      const url = new URL(req.url, "http://localhost");
+      requests.push(url);
+      const query = url.searchParams.get("q");
+      if (query === "slow") return; // Never answers
+      if (query === "broken") {
+        res.statusCode = 500;
+        res.end();
+        return;
+      }
+      res.setHeader("content-type", "application/json");
+      res.end(
+        JSON.stringify({
+          results: [1, 2, 3].map((i) => ({
+            url: `https://${query}.com/${i}`,
+            title: `${query} ${i}`,
+            content: `Snippet ${i}`,
+            publishedDate: i === 1 ? "2024-01-01" : null,
+          })),
+        })
+      );
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/`;
+  });
+
+  after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+
+  test("needs a baseUrl", () => {
+    assert.throws(() => new SearxngSearchProvider({}), /baseUrl/);
+  });
+
+  test("queries each search and keeps depth results", async () => {
+    const provider = new SearxngSearchProvider({ baseUrl });
+    const results = await provider.search(["alpha", "beta"], {
+      locale: "en-US",
+      depth: 2,
+    });
+
+    const alpha = requests.find((url) => url.searchParams.get("q") === "alpha");
+    assert.equal(alpha.pathname, "/search");
+    assert.equal(alpha.searchParams.get("format"), "json");
+    assert.equal(alpha.searchParams.get("language"), "en-US");
+    assert.deepEqual(
+      results.map((r) => [r.url, r.rank]),
+      [
+        ["https://alpha.com/1", 1],
+        ["https://alpha.com/2", 2],
+        ["https://beta.com/1", 1],
+        ["https://beta.com/2", 2],
+      ]
+    );
+    assert.equal(results[0].snippet, "Snippet 1");
+    assert.equal(results[0].date, "2024-01-01");
+  });
+
+  test("fails on error responses", async () => {
+    const provider = new SearxngSearchProvider({ baseUrl });
+    await assert.rejects(
+      provider.search(["broken"], { locale: "en-US", depth: 2 }),
+      /SearXNG search failed for "broken": 500/
+    );
+  });
+
+  test("times out", async () => {
+    const provider = new SearxngSearchProvider({ baseUrl, timeoutSecs: 0.2 });
+    await assert.rejects(
+      provider.search(["slow"], { locale: "en-US", depth: 2 }),
+      /timed out for "slow" after 0.2s/
+    );
+  });
+
+  test("stops when the run's signal aborts", async () => {
+    const provider = new SearxngSearchProvider({ baseUrl });
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 100);
+    await assert.rejects(
+      provider.search(["slow"], {
+        locale: "en-US",
+        depth: 2,
+        signal: controller.signal,
+      }),
+      { name: "AbortError" }
+    );
+  });
+});
+
+describe("UrlListSearchProvider", () => {
+  let dir;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), "search-test-"));
+  });
+
+  after(() => fs.remove(dir));
+
+  test("needs a file", () => {
+    assert.throws(() => new UrlListSearchProvider({}), /file/);
+  });
+
+  test("reads one URL per line, skipping comments", async () => {
+    const file = path.join(dir, "urls.txt");
+    await fs.writeFile(file, "# sources\nhttps://a.com\n\n  https://b.com  \n");
+    const results = await new UrlListSearchProvider({ file }).search();
+    assert.deepEqual(
+      results.map((r) => [r.url, r.title, r.rank]),
+      [
+        ["https://a.com", "https://a.com", 1],
+        ["https://b.com", "https://b.com", 2],
+      ]
+    );
+  });
+
+  test("reads a JSON array of URLs and objects", async () => {
+    const file = path.join(dir, "urls.json");
+    await fs.writeJSON(file, [
+      "https://a.com",
+      { url: "https://b.com", title: "B" },
+    ]);
+    const results = await new UrlListSearchProvider({ file }).search();
+    assert.deepEqual(
+      results.map((r) => [r.url, r.title, r.rank]),
+      [
+        ["https://a.com", "https://a.com", 1],
+        ["https://b.com", "B", 2],
+      ]
+    );
+  });
+});
+
+describe("FakeSearchProvider", () => {
+  test("generates depth results per query", async () => {
+    const results = await new FakeSearchProvider().search(
+      ["Solid-state batteries", "EV range"],
+      { depth: 2 }
+    );
+    assert.deepEqual(
+      results.map((r) => r.url),
+      [
+        "https://example.com/solid-state-batteries/1",
+        "https://example.com/solid-state-batteries/2",
+        "https://example.com/ev-range/1",
+        "https://example.com/ev-range/2",
+      ]
+    );
+  });
+
+  test("uses fixtures, and crawls their texts offline", async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), "search-test-"));
+    const fixtures = path.join(dir, "fixtures.json");
+    await fs.writeJSON(fixtures, {
+      batteries: [
+        { url: "https://a.com", title: "A", text: "Fixture text" },
+        { url: "https://b.com", title: "B" },
+      ],
+    });
+
+    const provider = new FakeSearchProvider({ fixtures });
+    const results = await provider.search(["batteries"], { depth: 5 });
+    const pages = await provider.crawl(results.map((r) => r.url));
+    await fs.remove(dir);
+
+    assert.deepEqual(
+      results.map((r) => [r.url, r.rank]),
+      [
+        ["https://a.com", 1],
+        ["https://b.com", 2],
+      ]
+    );
+    assert.deepEqual(pages[0], {
+      url: "https://a.com",
+      text: "Fixture text",
+      metadata: { title: "A" },
+    });
+    assert.equal(pages[1].metadata.title, "B");
+    assert.ok(pages[1].text.length > 500);
+  });
+
+  test("crawls saved results without searching again", async () => {
+    const results = new Map([
+      ["https://a.com", { url: "https://a.com", title: "A", snippet: "" }],
+    ]);
+    const [page] = await new FakeSearchProvider().crawl(
+      ["https://a.com"],
+      results
+    );
+    assert.equal(page.metadata.title, "A");
+  });
+
+  test("runs a research's searches and crawls without Apify", async () => {
+    const research = new Research(
+      { search: { provider: "fake" }, locale: "en-US", depth: 2 },
+      {
+        actor: () => {
+          throw new Error("Apify was called");
+        },
+      },
+      {}
+    );
+    const urls = await research.searchQueries(["batteries"]);
+    const contents = await research.crawlUrls(urls, 1);
+
+    assert.deepEqual(
+      contents.map((c) => c.url),
+      ["https://example.com/batteries/1", "https://example.com/batteries/2"]
+    );
+    assert.equal(research.references.get(urls[0]).title, "batteries (1)");
+  });
+});
+
+test("createSearchProvider rejects unknown providers", () => {
+  assert.throws(
+    () => createSearchProvider({ provider: "bing" }),
+    /Unsupported search provider: bing/
+  );
+  assert.ok(createSearchProvider({}) instanceof GoogleSearchProvider);
+});
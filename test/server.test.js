@@ -0,0 +1,64 @@
+import { test, describe, before, after } from "node:test";
+import assert from "node:assert/strict";
+import os from "os";
+import path from "path";
+import fs from "fs-extra";
+import { JobQueue, createServer } from "../src/server.js";
+
+describe("JobQueue", () => {
+  let dir;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), "server-test-"));
+  });
+
+  after(() => fs.remove(dir));
+
+  test("accepts no more jobs than it has room for, even in parallel", async () => {
+    const queue = new JobQueue(
+      { openai_api_key: "test", search: { provider: "fake" } },
+      {
+        maxJobs: 1,
+        maxQueued: 0,
+        runsDir: path.join(dir, "runs"),
+        outputDir: path.join(dir, "reports"),
+      }
+    );
+    const job = { subject: "Solid-state batteries", model: "o3-mini" };
+    const results = await Promise.allSettled([
+      queue.submit(job),
+      queue.submit(job),
+      queue.submit(job),
+    ]);
+    await queue.close();
+
+    assert.equal(results.filter((r) => r.status === "fulfilled").length, 1);
+    for (const result of results.filter((r) => r.status === "rejected")) {
+      assert.equal(result.reason.statusCode, 503);
+    }
+    assert.equal((await fs.readdir(path.join(dir, "runs"))).length, 1);
+  });
+
+  test("sends reports with non-ASCII names", async () => {
+    const file = path.join(dir, "סוללות.md");
+    await fs.writeFile(file, "# Report");
+    const queue = new JobQueue({});
+    queue.jobs.set("job", { id: "job", paths: { markdown: file } });
+
+    const server = createServer(queue);
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    const response = await fetch(
+      `http://127.0.0.1:${server.address().port}/jobs/job/files/markdown`
+    );
+    server.close();
+
+    assert.equal(response.status, 200);
+    assert.equal(
+      response.headers.get("content-disposition"),
+      `attachment; filename="______.md"; filename*=UTF-8''${encodeURIComponent(
+        "סוללות.md"
+      )}`
+    );
+    assert.equal(await response.text(), "# Report");
+  });
+});